@@ -1,20 +1,45 @@
 // server.js
-// Real-time odds caching server with WebSocket for NBA and Football EV calculations
+// Real-time odds caching server with WebSocket for NBA, Football and other registered sports
 
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
+const crypto = require('crypto');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const sportRegistry = require('./services/sportRegistry');
 const oddsCache = require('./services/oddsCache');
+const evCalculator = require('./services/evCalculator');
+const oddsHistory = require('./services/oddsHistory');
+const oddsDelta = require('./services/oddsDelta');
+const persistence = require('./services/persistence');
+const alertEngine = require('./services/alertEngine');
+const webhooks = require('./services/webhooks');
+const arbDetector = require('./services/arbDetector');
+const refreshScheduler = require('./services/refreshScheduler');
+const liveTracker = require('./services/liveTracker');
+const auth = require('./services/auth');
+const subscriptions = require('./services/subscriptions');
+const { MARKET_TYPES } = require('./services/normalizer');
+const { buildEventConsensus } = require('./services/consensus');
+const metrics = require('./services/metrics');
+const upstreamProvider = require('./services/upstreamProvider');
+const propExplorer = require('./services/propExplorer');
+const closingLines = require('./services/closingLines');
+const betLog = require('./services/betLog');
+const sportConfig = require('./services/sportConfig');
+const { parseListQuery, matchesEvent, trimOdds, project, paginate } = require('./services/listQuery');
+const exporter = require('./services/exporter');
+const eventStream = require('./services/eventStream');
+const refreshJobs = require('./services/refreshJobs');
 
 const app = express();
 const httpServer = createServer(app);
 
-// Socket.IO setup with CORS
+// Socket.IO setup with CORS (CORS_ORIGINS allowlist)
 const io = new Server(httpServer, {
   cors: {
-    origin: '*',
+    origin: auth.corsOrigin,
     methods: ['GET', 'POST']
   },
   pingTimeout: 60000,
@@ -28,59 +53,162 @@ let connectedClients = 0;
 
 // ==================== MIDDLEWARE ====================
 
-app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+const corsOptions = {
+  origin: auth.corsOrigin,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: false
-}));
-app.options('*', cors());
+};
+
+// Behind Render's proxy req.ip would otherwise be the proxy for every client
+if (auth.trustProxy) {
+  app.set('trust proxy', auth.trustProxy);
+}
+
+app.use(cors(corsOptions));
+app.options('*', cors(corsOptions));
 app.use(express.json());
 
+// Every request gets req.user (anonymous viewer unless AUTH_ANONYMOUS_ROLE=none)
+app.use(auth.middleware());
+
+// All /api/admin/* routes require an admin key or token
+app.use('/api/admin', auth.requireRole('admin'));
+
+// Reject refresh requests beyond the per-client limit
+const refreshLimit = (req, res, next) => {
+  const limit = auth.checkRefresh(auth.clientId(req.user, req.ip));
+  if (!limit.allowed) {
+    res.set('Retry-After', Math.ceil(limit.retryAfterMs / 1000));
+    return res.status(429).json({ error: 'Too many refresh requests', retryAfterMs: limit.retryAfterMs });
+  }
+  next();
+};
+
 // ==================== SOCKET.IO EVENTS ====================
 
+// Credentials from the handshake (`auth: { token }`) - bad ones are refused before connecting
+io.use(auth.socketMiddleware());
+
 io.on('connection', (socket) => {
   connectedClients++;
-  console.log(`[WS] Client connected (${connectedClients} total)`);
+  const { user } = socket.data;
+
+  // Delta clients get `oddsDelta` events instead of full odds payloads
+  const { auth: handshakeAuth = {}, query = {} } = socket.handshake;
+  const deltaMode = (handshakeAuth.mode || query.mode) === 'delta';
+  if (deltaMode) {
+    socket.join('delta');
+  }
+  console.log(`[WS] Client connected as ${user.name} (${connectedClients} total${deltaMode ? ', delta mode' : ''})`);
+
+  // In-play clients get `liveUpdate` / `liveEvents` in the `live` room
+  const joinLive = () => {
+    socket.join('live');
+    socket.emit('liveSnapshot', buildLiveSnapshot());
+  };
+  if (handshakeAuth.live === true || query.live === 'true') {
+    joinLive();
+  }
+
+  // Alert rule owners receive their `alert` events in a private room -
+  // authenticated users always join their own and anonymous ones only `anon:` owners' rooms
+  const joinOwner = (owner) => {
+    owner = auth.ownerFor(user, owner);
+    if (typeof owner === 'string' && owner) {
+      socket.join(`owner:${owner}`);
+    }
+  };
+  joinOwner(handshakeAuth.owner || query.owner);
+
+  // { sport: { eventIds, leagues, bookmakers, markets } } - null lists mean everything
+  socket.data.subscriptions = {};
+
+  const subscribe = (data) => {
+    const error = subscriptions.validate(data);
+    if (error) return error;
+    const filter = subscriptions.subscribe(socket.data.subscriptions, data);
+    socket.join(data.sport);
+    if (deltaMode) socket.join(`delta:${data.sport}`);
+    console.log(`[WS] ${user.name} subscribed to ${data.sport}`, filter);
+    return null;
+  };
+
+  // Subscriptions passed in the handshake shape the initial snapshot too
+  const initial = handshakeAuth.subscriptions;
+  for (const data of Array.isArray(initial) ? initial : initial ? [initial] : []) {
+    const error = subscribe(data);
+    if (error) socket.emit('subscribeError', { ...data, error });
+  }
 
   // Send current status on connect
   socket.emit('status', oddsCache.getStatus());
 
-  // Send current data snapshot
-  socket.emit('snapshot', {
-    nba: {
-      events: oddsCache.getNbaEvents(),
-      odds: oddsCache.getAllNbaOdds()
-    },
-    football: {
-      events: oddsCache.getFootballEvents(),
-      odds: oddsCache.getAllFootballOdds()
+  // Send current data snapshot, or only what a reconnecting delta client missed
+  if (deltaMode && handshakeAuth.versions) {
+    sendResync(socket, handshakeAuth.versions);
+  } else {
+    socket.emit('snapshot', buildSnapshot(socket.data.subscriptions));
+  }
+
+  // Subscribe to a registered sport, optionally narrowed by eventIds/leagues/bookmakers/markets.
+  // The optional ack receives { subscriptions } or { error }
+  socket.on('subscribe', (data, ack) => {
+    const error = subscribe(data);
+    if (typeof ack === 'function') {
+      ack(error ? { error } : { subscriptions: socket.data.subscriptions });
+    } else if (error) {
+      socket.emit('subscribeError', { ...data, error });
     }
   });
 
-  // Handle client requesting specific data
-  socket.on('subscribe', (data) => {
-    if (data.sport === 'nba') {
-      socket.join('nba');
-      console.log(`[WS] Client subscribed to NBA`);
+  // Remove listed filter values, or the whole sport when no lists are given
+  socket.on('unsubscribe', (data, ack) => {
+    const error = subscriptions.validate(data);
+    if (!error && subscriptions.unsubscribe(socket.data.subscriptions, data)) {
+      socket.leave(data.sport);
+      socket.leave(`delta:${data.sport}`);
+      console.log(`[WS] ${user.name} unsubscribed from ${data.sport}`);
     }
-    if (data.sport === 'football') {
-      socket.join('football');
-      console.log(`[WS] Client subscribed to Football`);
+    if (typeof ack === 'function') {
+      ack(error ? { error } : { subscriptions: socket.data.subscriptions });
     }
   });
 
-  // Handle manual refresh request
-  socket.on('requestRefresh', async (data) => {
-    console.log(`[WS] Client requested refresh: ${data?.type || 'all'}`);
-    if (data?.type === 'nba') {
-      await oddsCache.fetchNbaEvents();
-      await oddsCache.refreshNbaOdds();
-    } else if (data?.type === 'football') {
-      await oddsCache.refreshFootballOdds();
-    } else {
-      await oddsCache.refreshAll();
+  socket.on('joinLive', joinLive);
+
+  socket.on('leaveLive', () => {
+    socket.leave('live');
+  });
+
+  socket.on('identify', (data) => {
+    joinOwner(data?.owner);
+  });
+
+  // Delta client catching up after a reconnect without a new handshake
+  socket.on('resume', (versions) => {
+    if (!deltaMode || !versions) return;
+    sendResync(socket, versions);
+  });
+
+  // Handle manual refresh request - rate-limited per client, full refreshes are admin-only.
+  // Queued as a refresh job; `ack` (if given) receives it, progress follows as `refreshProgress`
+  socket.on('requestRefresh', (data, ack) => {
+    const type = sportRegistry.has(data?.type) ? data.type : 'all';
+    if (type === 'all' && !auth.hasRole(user, 'admin')) {
+      socket.emit('refreshDenied', { type, error: 'admin role required for a full refresh' });
+      return;
     }
+
+    const limit = auth.checkRefresh(auth.clientId(user, auth.socketAddress(socket)));
+    if (!limit.allowed) {
+      socket.emit('refreshDenied', { type, error: 'Too many refresh requests', retryAfterMs: limit.retryAfterMs });
+      return;
+    }
+
+    console.log(`[WS] ${user.name} requested refresh: ${type}`);
+    const job = refreshJobs.request({ type, source: 'socket', requestedBy: user.id });
+    if (typeof ack === 'function') ack({ job });
   });
 
   socket.on('disconnect', () => {
@@ -91,14 +219,182 @@ io.on('connection', (socket) => {
 
 // ==================== BROADCAST FUNCTIONS ====================
 
+// Every broadcast is also offered to webhook targets subscribed to the event and, unless it is
+// owner-only, to the SSE stream
+
+const publish = (event, data) => {
+  webhooks.dispatch(event, data);
+  eventStream.publish(event, data);
+};
+
 // Broadcast to all clients
 const broadcast = (event, data) => {
   io.emit(event, data);
+  publish(event, data);
 };
 
 // Broadcast to specific sport subscribers
 const broadcastToSport = (sport, event, data) => {
   io.to(sport).emit(event, data);
+  publish(event, { sport, ...data });
+};
+
+// Emit to every socket in a room, passing each its own subscription filter for the sport.
+// `build` returns the socket's payload, or null to skip it
+const emitFiltered = (room, sport, event, build) => {
+  for (const socketId of io.sockets.adapter.rooms.get(room) || []) {
+    const socket = io.sockets.sockets.get(socketId);
+    const filter = socket?.data.subscriptions?.[sport];
+    const payload = filter && build(filter, socket);
+    if (payload) socket.emit(event, payload);
+  }
+};
+
+// Per-event odds, trimmed to each subscriber's events, bookmakers and markets.
+// Full odds payloads skip delta-mode clients, they get `oddsDelta` instead
+const broadcastOddsUpdate = (sport, update, league) => {
+  emitFiltered(sport, sport, 'oddsUpdate', (filter, socket) => {
+    if (socket.rooms.has('delta') || !subscriptions.matchesEvent(filter, update.eventId, league)) return null;
+    const odds = subscriptions.trimOdds(filter, update.odds);
+    return odds && (odds === update.odds ? update : { ...update, odds });
+  });
+  publish('oddsUpdate', { sport, ...update });
+};
+
+const broadcastDelta = (sport, delta, league) => {
+  emitFiltered(`delta:${sport}`, sport, 'oddsDelta', (filter) =>
+    subscriptions.matchesEvent(filter, delta.eventId, league) ? subscriptions.trimDelta(filter, delta) : null);
+  publish('oddsDelta', delta);
+};
+
+// `<sport>Update` after a refresh (not for delta clients): unsubscribed clients get
+// everything when `toAll`, subscribers only their trimmed slice of the sports they follow
+const broadcastSportData = (sport, data, { toAll = false } = {}) => {
+  const event = `${sport}Update`;
+  const leagueOf = (eventId) => oddsCache.getLeague(sport, eventId);
+
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.rooms.has('delta')) continue;
+    const subs = socket.data.subscriptions || {};
+    if (subs[sport]) {
+      socket.emit(event, subscriptions.trimSportData(subs[sport], data, leagueOf));
+    } else if (toAll && Object.keys(subs).length === 0) {
+      socket.emit(event, data);
+    }
+  }
+  publish(event, { sport, ...data });
+};
+
+// Announce arbs/middles that appeared or disappeared after an event refetch
+const broadcastArbs = (sport, { found, gone }) => {
+  for (const arb of found) {
+    broadcastToSport(sport, 'arbFound', arb);
+  }
+  for (const arb of gone) {
+    broadcastToSport(sport, 'arbGone', { id: arb.id, eventId: arb.eventId, type: arb.type });
+  }
+};
+
+// In-play odds and live list changes for the `live` room
+const broadcastLive = (event, data) => {
+  io.to('live').emit(event, data);
+  publish(event, data);
+};
+
+// In-play events with their odds, per sport
+const buildLiveSnapshot = () => {
+  const snapshot = {};
+  for (const sport of sportRegistry.keys()) {
+    snapshot[sport] = oddsCache.getLiveEvents(sport).events.map(event => ({
+      ...event,
+      odds: oddsCache.getOdds(sport, event.id)
+    }));
+  }
+  return snapshot;
+};
+
+// `oddsStale` / `eventsEvicted`: unsubscribed clients get every entry, subscribers only those for
+// the events (and bookmakers) they follow
+const broadcastFreshness = (sport, event, key, entries) => {
+  const payload = { sport, [key]: entries, timestamp: new Date() };
+  for (const socket of io.sockets.sockets.values()) {
+    const subs = socket.data.subscriptions || {};
+    if (Object.keys(subs).length === 0) {
+      socket.emit(event, payload);
+      continue;
+    }
+
+    const filter = subs[sport];
+    const matching = filter ? entries.filter(entry =>
+      subscriptions.matchesEvent(filter, entry.eventId, entry.league) &&
+      (!filter.bookmakers || !entry.bookmaker || filter.bookmakers.includes(entry.bookmaker))) : [];
+    if (matching.length > 0) socket.emit(event, { ...payload, [key]: matching });
+  }
+  publish(event, payload);
+};
+
+// Deliver fired alerts to their rule owners only
+const sendAlerts = (alerts) => {
+  for (const alert of alerts) {
+    io.to(`owner:${alert.owner}`).emit('alert', alert);
+    webhooks.dispatch('alert', alert);
+  }
+};
+
+// Bets graded against the closing line, to their owners only
+const sendGradedBets = (bets) => {
+  for (const bet of bets) {
+    io.to(`owner:${bet.owner}`).emit('betGraded', bet);
+    webhooks.dispatch('betGraded', bet);
+  }
+};
+
+// Sports a socket receives data for - all of them until it subscribes to something
+const snapshotSports = (subs = {}) => {
+  const subscribed = Object.keys(subs);
+  return subscribed.length > 0 ? subscribed : sportRegistry.keys();
+};
+
+// Sport data, trimmed when the socket has a filter for it
+const sportData = (sport, subs, data) => subs?.[sport]
+  ? subscriptions.trimSportData(subs[sport], data, (eventId) => oddsCache.getLeague(sport, eventId))
+  : data;
+
+// Full data snapshot, tagged with versions so delta clients can resume later
+const buildSnapshot = (subs) => {
+  const snapshot = { versions: oddsDelta.getVersions() };
+  for (const sport of snapshotSports(subs)) {
+    snapshot[sport] = sportData(sport, subs, {
+      events: oddsCache.getEvents(sport),
+      odds: oddsCache.getAllOdds(sport)
+    });
+  }
+  return snapshot;
+};
+
+// Send a reconnecting delta client only the events that changed since its versions
+const sendResync = (socket, versions) => {
+  const subs = socket.data.subscriptions;
+  const since = {};
+  for (const sport of snapshotSports(subs)) {
+    since[sport] = oddsDelta.changedSince(sport, versions[sport], versions.epoch);
+
+    // Unknown epoch or version (e.g. after a server restart) - fall back to a full snapshot
+    if (!since[sport]) {
+      socket.emit('snapshot', buildSnapshot(subs));
+      return;
+    }
+  }
+
+  const resync = { versions: oddsDelta.getVersions() };
+  for (const [sport, { changed: eventIds, removed }] of Object.entries(since)) {
+    const { events, odds } = sportData(sport, subs, {
+      events: oddsCache.getEvents(sport),
+      odds: { odds: Object.fromEntries(eventIds.map(id => [id, oddsCache.getOdds(sport, id)])) }
+    });
+    resync[sport] = { events, odds: odds.odds, removed };
+  }
+  socket.emit('resync', resync);
 };
 
 // Emit status updates periodically
@@ -110,73 +406,149 @@ const emitStatus = () => {
 
 // Extend oddsCache with event emitters
 const originalRefreshAll = oddsCache.refreshAll.bind(oddsCache);
-oddsCache.refreshAll = async function() {
+oddsCache.refreshAll = async function(options) {
   broadcast('refreshStart', { type: 'all', timestamp: new Date() });
-  await originalRefreshAll();
+  const result = await originalRefreshAll(options);
   broadcast('refreshComplete', {
     type: 'all',
     timestamp: new Date(),
     status: this.getStatus()
   });
 
-  // Send updated data
-  broadcast('nbaUpdate', {
-    events: this.getNbaEvents(),
-    odds: this.getAllNbaOdds()
-  });
-  broadcast('footballUpdate', {
-    events: this.getFootballEvents(),
-    odds: this.getAllFootballOdds()
-  });
+  // Send updated data (`nbaUpdate`, `footballUpdate`, ...)
+  for (const sport of options?.sports || sportRegistry.keys()) {
+    broadcastSportData(sport, {
+      events: this.getEvents(sport),
+      odds: this.getAllOdds(sport)
+    }, { toAll: true });
+  }
+  return result;
 };
 
-const originalRefreshNbaOdds = oddsCache.refreshNbaOdds.bind(oddsCache);
-oddsCache.refreshNbaOdds = async function() {
-  broadcastToSport('nba', 'refreshStart', { type: 'nba', timestamp: new Date() });
-  await originalRefreshNbaOdds();
-  broadcastToSport('nba', 'nbaUpdate', {
-    events: this.getNbaEvents(),
-    odds: this.getAllNbaOdds()
+const originalRefreshSportOdds = oddsCache.refreshSportOdds.bind(oddsCache);
+oddsCache.refreshSportOdds = async function(sport, options) {
+  broadcastToSport(sport, 'refreshStart', { type: sport, timestamp: new Date() });
+  const result = await originalRefreshSportOdds(sport, options);
+  broadcastSportData(sport, {
+    events: this.getEvents(sport),
+    odds: this.getAllOdds(sport)
   });
   emitStatus();
+  return result;
 };
 
-const originalRefreshFootballOdds = oddsCache.refreshFootballOdds.bind(oddsCache);
-oddsCache.refreshFootballOdds = async function() {
-  broadcastToSport('football', 'refreshStart', { type: 'football', timestamp: new Date() });
-  await originalRefreshFootballOdds();
-  broadcastToSport('football', 'footballUpdate', {
-    events: this.getFootballEvents(),
-    odds: this.getAllFootballOdds()
-  });
-  emitStatus();
-};
+// Refresh jobs: every status change, and progress while running (e.g. "NBA event 14/62")
+refreshJobs.notify = (job) => broadcast('refreshJob', job);
+refreshJobs.notifyProgress = (job) => broadcast('refreshProgress', {
+  id: job.id,
+  type: job.type,
+  sports: job.sports,
+  progress: job.progress,
+  callsUsed: job.callsUsed
+});
 
-// Hook into individual odds fetches to broadcast real-time updates
-const originalFetchNbaOddsForEvent = oddsCache.fetchNbaOddsForEvent.bind(oddsCache);
-oddsCache.fetchNbaOddsForEvent = async function(eventId) {
-  const result = await originalFetchNbaOddsForEvent(eventId);
-  broadcastToSport('nba', 'oddsUpdate', {
-    sport: 'nba',
-    eventId,
-    odds: result,
-    timestamp: new Date()
-  });
+// Announce games that went in play or left the live list
+const originalFetchEvents = oddsCache.fetchEvents.bind(oddsCache);
+oddsCache.fetchEvents = async function(sport, league, status, options) {
+  const before = status === 'live' ? new Set(this.getLiveEvents(sport, league).events.map(e => String(e.id))) : null;
+  const result = await originalFetchEvents(sport, league, status, options);
+  if (!before) return result;
+
+  const after = new Set(result.map(e => String(e.id)));
+  const started = result.filter(e => !before.has(String(e.id)));
+  const ended = [...before].filter(id => !after.has(id));
+  if (started.length > 0 || ended.length > 0) {
+    broadcastLive('liveEvents', { sport, league, events: result, started, ended, timestamp: new Date() });
+  }
   return result;
 };
 
-const originalFetchFootballOddsForEvent = oddsCache.fetchFootballOddsForEvent.bind(oddsCache);
-oddsCache.fetchFootballOddsForEvent = async function(eventId, bookmakers) {
-  const result = await originalFetchFootballOddsForEvent(eventId, bookmakers);
-  broadcastToSport('football', 'oddsUpdate', {
-    sport: 'football',
+// Hook into individual odds fetches to update derived data and broadcast real-time updates
+const originalFetchOddsForEvent = oddsCache.fetchOddsForEvent.bind(oddsCache);
+oddsCache.fetchOddsForEvent = async function(sport, eventId, bookmakers, options) {
+  const result = await originalFetchOddsForEvent(sport, eventId, bookmakers, options);
+  // Last-good prices kept after a failed refetch are shown, but never priced into EV, arbs or alerts
+  const current = this.withoutStale(result);
+  evCalculator.computeEvent(sport, eventId, current);
+  oddsHistory.record(sport, eventId, result);
+  const league = this.getLeague(sport, eventId);
+  broadcastArbs(sport, arbDetector.detect(sport, eventId, current));
+  sendAlerts(alertEngine.evaluate(sport, eventId, current, { league }));
+  closingLines.record(sport, eventId, result, { league });
+  broadcastOddsUpdate(sport, {
+    sport,
     eventId,
     odds: result,
     timestamp: new Date()
-  });
+  }, league);
+
+  const delta = oddsDelta.apply(sport, eventId, result);
+  if (delta) {
+    broadcastDelta(sport, delta, league);
+  }
+
+  if (result.live) {
+    broadcastLive('liveUpdate', { sport, eventId, league, odds: result, timestamp: new Date() });
+  }
+
+  // Bookmakers whose refetch failed keep their last prices, flagged stale
+  const failed = Object.entries(result.bookmakerStatus || {})
+    .filter(([, status]) => status.stale && status.failedAt === result.cachedAt)
+    .map(([bookmaker, status]) => ({
+      sport, eventId, league, bookmaker, fetchedAt: status.fetchedAt, error: status.error, reason: 'fetch_failed'
+    }));
+  if (failed.length > 0) {
+    broadcastFreshness(sport, 'oddsStale', 'stale', failed);
+  }
   return result;
 };
 
+// Clear the derived state of evicted events
+const forgetEvents = (evicted) => {
+  for (const { sport, eventId } of evicted) {
+    evCalculator.forget(sport, eventId);
+    alertEngine.forget(sport, eventId);
+    oddsDelta.forget(sport, eventId);
+    broadcastArbs(sport, arbDetector.forget(sport, eventId));
+  }
+};
+
+// Flag prices that aged out and evict finished or dropped events, clearing their derived state.
+// Events that kicked off get their closing lines frozen and their logged bets graded
+const sweepCache = () => {
+  const closed = closingLines.closeStarted();
+  if (closed.length > 0) {
+    sendGradedBets(betLog.gradeEvents(closed));
+    betLog.scheduleSave();
+  }
+
+  const stale = oddsCache.markStale();
+  const evicted = oddsCache.evictEvents();
+  forgetEvents(evicted);
+
+  for (const sport of sportRegistry.keys()) {
+    const sportStale = stale
+      .filter(entry => entry.sport === sport)
+      .map(entry => ({ ...entry, league: oddsCache.getLeague(sport, entry.eventId) }));
+    if (sportStale.length > 0) {
+      broadcastFreshness(sport, 'oddsStale', 'stale', sportStale);
+    }
+
+    // Drop the aged prices from EV and arbs until the event is refetched
+    for (const eventId of new Set(sportStale.map(entry => entry.eventId))) {
+      const current = oddsCache.getCurrentOdds(sport, eventId);
+      if (!current) continue;
+      evCalculator.computeEvent(sport, eventId, current);
+      broadcastArbs(sport, arbDetector.detect(sport, eventId, current));
+    }
+
+    const sportEvicted = evicted.filter(entry => entry.sport === sport);
+    if (sportEvicted.length > 0) {
+      broadcastFreshness(sport, 'eventsEvicted', 'events', sportEvicted);
+    }
+  }
+};
+
 // ==================== API ROUTES ====================
 
 // Health check
@@ -193,136 +565,906 @@ app.get('/health', (req, res) => {
 app.get('/api/status', (req, res) => {
   res.json({
     ...oddsCache.getStatus(),
+    persistence: persistence.getStatus(),
+    bets: betLog.getStatus(),
+    sportConfig: sportConfig.getStatus(),
+    auth: auth.getStatus(),
+    stream: eventStream.getStatus(),
+    jobs: refreshJobs.getStatus(),
     connectedClients,
     websocket: true
   });
 });
 
-// ==================== NBA ROUTES ====================
+// Prometheus scrape endpoint (cache, upstream, refresh and socket metrics)
+metrics.attach({ oddsCache, sportRegistry, refreshScheduler, io });
+
+app.get('/metrics', async (req, res) => {
+  try {
+    const body = await metrics.render();
+    res.set('Content-Type', metrics.contentType);
+    res.end(body);
+  } catch (error) {
+    console.error(`[Metrics] Render failed: ${error.message}`);
+    res.status(500).json({ error: 'Metrics unavailable' });
+  }
+});
+
+// Who the request is authenticated as
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Parse the shared EV query filters (?minEv=&eventId=&bookmaker=)
+const parseEvQuery = (query) => {
+  const filters = { eventId: query.eventId, bookmaker: query.bookmaker };
+  if (query.minEv !== undefined) {
+    filters.minEv = parseFloat(query.minEv);
+    if (!Number.isFinite(filters.minEv)) return null;
+  }
+  return filters;
+};
 
-app.get('/api/nba/events', (req, res) => {
-  res.json(oddsCache.getNbaEvents());
+// Resolve :sport against the registry, 404 for unknown sports
+app.param('sport', (req, res, next, key) => {
+  req.sport = sportRegistry.get(key);
+  if (!req.sport) {
+    return res.status(404).json({ error: `Unknown sport: ${key}` });
+  }
+  next();
 });
 
-app.get('/api/nba/odds/:eventId', (req, res) => {
+// ?format=raw (provider structure, default) or normalized (canonical market model)
+const ODDS_FORMATS = ['raw', 'normalized'];
+
+const getAllOdds = (sport, format) => format === 'normalized'
+  ? oddsCache.getAllNormalizedOdds(sport)
+  : oddsCache.getAllOdds(sport);
+
+// Reject unknown ?format values on the odds routes
+const checkFormat = (req, res, next) => {
+  req.format = req.query.format || 'raw';
+  if (!ODDS_FORMATS.includes(req.format)) {
+    return res.status(400).json({ error: `format must be one of: ${ODDS_FORMATS.join(', ')}` });
+  }
+  next();
+};
+
+// ==================== LIST QUERIES ====================
+// ?from=&to=&team=&bookmakers=&markets=&fields=&sort=&limit=&cursor= on the event and odds
+// routes (see services/listQuery.js). Without them the responses are unchanged.
+
+const checkListQuery = (req, res, next) => {
+  const { options, error } = parseListQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  req.listQuery = options;
+  next();
+};
+
+// Date/team filter, then sort and page
+const queryList = (options, items) => paginate(options, items.filter(item => matchesEvent(options, item)));
+
+// Page across leagues, then regroup: { grouped: { league: [...] }, items, page }
+const queryGrouped = (options, byLeague, toItem = (event) => event) => {
+  const leagueOf = new Map();
+  for (const [league, events] of Object.entries(byLeague)) {
+    for (const event of events) leagueOf.set(toItem(event), league);
+  }
+
+  const { items, page } = queryList(options, [...leagueOf.keys()]);
+  const grouped = Object.fromEntries(Object.keys(byLeague).map(league => [league, []]));
+  for (const item of items) grouped[leagueOf.get(item)].push(project(options, item));
+  return { grouped, items, page };
+};
+
+// Filter an { eventId: eventOdds } map, keeping its shape. Bookmaker/market filters drop
+// events left without odds
+const queryOddsMap = (options, oddsById) => {
+  const trimming = options.bookmakers || options.markets;
+  const items = Object.entries(oddsById)
+    .map(([id, eventOdds]) => ({ id, ...trimOdds(options, eventOdds) }))
+    .filter(item => !trimming || Object.keys(item.bookmakers).length > 0);
+
+  const { items: pageItems, page } = queryList(options, items);
+  const odds = {};
+  for (const { id, ...eventOdds } of pageItems) odds[id] = project(options, eventOdds);
+  return { odds, page };
+};
+
+// Newest of the given cache timestamps (Dates, ISO strings or null)
+const latestOf = (...dates) => {
+  const times = dates.flat().filter(Boolean).map(date => new Date(date).getTime()).filter(Number.isFinite);
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+const oddsUpdatedAt = (sport) => latestOf(
+  oddsCache.getAllOdds(sport).lastUpdate,
+  Object.values(oddsCache.getOdds(sport)).map(eventOdds => eventOdds.cachedAt)
+);
+
+const eventsUpdatedAt = (sport, league) => {
+  const { lastUpdate } = oddsCache.getEvents(sport, league);
+  return latestOf(lastUpdate instanceof Date || !lastUpdate ? lastUpdate : Object.values(lastUpdate));
+};
+
+// Conditional GET: ETag and Last-Modified come from the cache timestamps (plus the sport's
+// delta version and the query), so the body is only built when the client's copy is out of date.
+// Stale flags and evictions change the data without a fetch, so the sport's last sweep counts too
+const sendConditional = (req, res, lastModified, build) => {
+  lastModified = latestOf(lastModified, oddsCache.getLastSweep(req.sport.key));
+  const version = oddsDelta.getVersions()[req.sport.key] || 0;
+  const tag = crypto.createHash('sha1')
+    .update(`${req.originalUrl}|${lastModified?.getTime() || 0}|${version}`)
+    .digest('base64url');
+
+  res.set('ETag', `W/"${tag}"`);
+  res.set('Cache-Control', 'no-cache');
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(build());
+};
+
+// Events joined with their cached odds for one league (or a single-league sport)
+const buildLeagueData = (sport, league, format, options) => {
+  const events = oddsCache.getEvents(sport, league);
+  const allOdds = getAllOdds(sport, format);
+  const { items, page } = queryList(options, events.events.map(event => ({
+    ...event,
+    odds: trimOdds(options, allOdds.odds[event.id]) || null
+  })));
+  return {
+    events: items.map(item => project(options, item)),
+    lastEventsUpdate: events.lastUpdate,
+    lastOddsUpdate: allOdds.lastUpdate,
+    totalEvents: page ? page.total : items.length,
+    eventsWithOdds: items.filter(e => e.odds).length,
+    ...(page && { page })
+  };
+};
+
+// ==================== SPORT ROUTES ====================
+// Generic /api/:sport/* routes built from the sport registry. The original
+// /api/nba/* and /api/football/* endpoints are served by these unchanged.
+
+app.get('/api/sports', (req, res) => {
+  res.json({ sports: sportRegistry.list() });
+});
+
+// Single-league sports (or a given league) return a flat list, others group events by league
+const sendEvents = (req, res, league) => {
+  const sport = req.sport.key;
+  const options = req.listQuery;
+
+  sendConditional(req, res, eventsUpdatedAt(sport, league), () => {
+    const events = oddsCache.getEvents(sport, league);
+    if (Array.isArray(events.events)) {
+      const { items, page } = queryList(options, events.events);
+      return {
+        events: items.map(event => project(options, event)),
+        lastUpdate: events.lastUpdate,
+        count: items.length,
+        ...(page && { page })
+      };
+    }
+
+    const { grouped, page } = queryGrouped(options, events.events);
+    return { ...events, events: grouped, ...(page && { page }) };
+  });
+};
+
+app.get('/api/:sport/events', checkListQuery, (req, res) => {
+  sendEvents(req, res, req.query.league);
+});
+
+app.get('/api/:sport/events/:league', checkListQuery, (req, res) => {
+  sendEvents(req, res, req.params.league);
+});
+
+app.get('/api/:sport/odds/:eventId', checkFormat, checkListQuery, (req, res) => {
   const { eventId } = req.params;
-  const odds = oddsCache.getNbaOdds(eventId);
+  const odds = req.format === 'normalized'
+    ? oddsCache.getNormalizedOdds(req.sport.key, eventId)
+    : oddsCache.getOdds(req.sport.key, eventId);
   if (!odds) {
+    const evicted = oddsCache.getEvicted(req.sport.key, eventId);
+    if (evicted) {
+      return res.status(410).json({ error: 'Event evicted', evicted });
+    }
     return res.status(404).json({ error: 'Odds not found for this event' });
   }
-  res.json(odds);
+  sendConditional(req, res, latestOf(odds.cachedAt), () => project(req.listQuery, trimOdds(req.listQuery, odds)));
 });
 
-app.get('/api/nba/odds', (req, res) => {
-  res.json(oddsCache.getAllNbaOdds());
+app.get('/api/:sport/odds', checkFormat, checkListQuery, (req, res) => {
+  const sport = req.sport.key;
+  sendConditional(req, res, oddsUpdatedAt(sport), () => {
+    const allOdds = getAllOdds(sport, req.format);
+    const { odds, page } = queryOddsMap(req.listQuery, allOdds.odds);
+    return { ...allOdds, odds, eventCount: Object.keys(odds).length, ...(page && { page }) };
+  });
 });
 
-app.get('/api/nba/all', (req, res) => {
-  const events = oddsCache.getNbaEvents();
-  const odds = oddsCache.getAllNbaOdds();
-  const eventsWithOdds = events.events.map(event => ({
-    ...event,
-    odds: odds.odds[event.id] || null
+app.get('/api/:sport/all/:league', checkFormat, checkListQuery, (req, res) => {
+  const sport = req.sport.key;
+  const { league } = req.params;
+  sendConditional(req, res, latestOf(eventsUpdatedAt(sport, league), oddsUpdatedAt(sport)), () => ({
+    league,
+    ...buildLeagueData(sport, league, req.format, req.listQuery)
   }));
-  res.json({
-    events: eventsWithOdds,
-    lastEventsUpdate: events.lastUpdate,
-    lastOddsUpdate: odds.lastUpdate,
-    totalEvents: events.count,
-    eventsWithOdds: eventsWithOdds.filter(e => e.odds).length
-  });
 });
 
-// ==================== FOOTBALL ROUTES ====================
+// Single-league sports return a flat event list, others group events by league
+app.get('/api/:sport/all', checkFormat, checkListQuery, (req, res) => {
+  const sport = req.sport.key;
+  const options = req.listQuery;
+
+  sendConditional(req, res, latestOf(eventsUpdatedAt(sport), oddsUpdatedAt(sport)), () => {
+    if (sportRegistry.isSingleLeague(sport)) {
+      return buildLeagueData(sport, undefined, req.format, options);
+    }
+
+    const events = oddsCache.getEvents(sport);
+    const allOdds = getAllOdds(sport, req.format);
+    const { grouped, items, page } = queryGrouped(options, events.events, event => ({
+      ...event,
+      odds: trimOdds(options, allOdds.odds[event.id]) || null
+    }));
+    return {
+      leagues: grouped,
+      lastOddsUpdate: allOdds.lastUpdate,
+      totalEvents: page ? page.total : items.length,
+      eventsWithOdds: items.filter(e => e.odds).length,
+      ...(page && { page })
+    };
+  });
+});
 
-app.get('/api/football/events', (req, res) => {
+// In-play events with their odds (?league=), same list query and format options as /all
+app.get('/api/:sport/live', checkFormat, checkListQuery, (req, res) => {
+  const sport = req.sport.key;
   const { league } = req.query;
-  res.json(oddsCache.getFootballEvents(league));
+  const live = oddsCache.getLiveEvents(sport, league);
+  const lastModified = latestOf(live.lastUpdate, live.events.map(event => oddsCache.getOdds(sport, event.id)?.cachedAt));
+
+  sendConditional(req, res, lastModified, () => {
+    const options = req.listQuery;
+    const allOdds = getAllOdds(sport, req.format);
+    const { items, page } = queryList(options, live.events.map(event => ({
+      ...event,
+      odds: trimOdds(options, allOdds.odds[event.id]) || null
+    })));
+    return {
+      events: items.map(item => project(options, item)),
+      lastUpdate: live.lastUpdate,
+      count: items.length,
+      ...(page && { page })
+    };
+  });
 });
 
-app.get('/api/football/events/:league', (req, res) => {
-  const { league } = req.params;
-  res.json(oddsCache.getFootballEvents(league));
+// Per-bookmaker fetch time, age and stale flags, plus recently evicted events (?staleOnly=true)
+app.get('/api/:sport/freshness', (req, res) => {
+  const freshness = oddsCache.getFreshness(req.sport.key);
+  if (req.query.staleOnly === 'true') {
+    freshness.events = freshness.events.filter(event => event.stale);
+  }
+  res.json(freshness);
+});
+
+app.get('/api/:sport/ev', (req, res) => {
+  const filters = parseEvQuery(req.query);
+  if (!filters) {
+    return res.status(400).json({ error: 'minEv must be a number' });
+  }
+  res.json(evCalculator.getEv(req.sport.key, filters));
 });
 
-app.get('/api/football/odds/:eventId', (req, res) => {
+// ==================== BEST PRICE ROUTES ====================
+
+// Shared ?type=&player= filters, de-vigged with the EV engine's method
+const parseBestQuery = (query) => {
+  if (query.type && !MARKET_TYPES.includes(query.type)) return null;
+  return { method: evCalculator.method, type: query.type, player: query.player };
+};
+
+// Best price, average, median and no-vig consensus for every line of one event
+app.get('/api/:sport/best/:eventId', (req, res) => {
+  const options = parseBestQuery(req.query);
+  if (!options) {
+    return res.status(400).json({ error: `type must be one of: ${MARKET_TYPES.join(', ')}` });
+  }
   const { eventId } = req.params;
-  const odds = oddsCache.getFootballOdds(eventId);
+  const odds = oddsCache.getCurrentNormalizedOdds(req.sport.key, eventId);
   if (!odds) {
     return res.status(404).json({ error: 'Odds not found for this event' });
   }
-  res.json(odds);
+  res.json({
+    sport: req.sport.key,
+    league: oddsCache.getLeague(req.sport.key, eventId),
+    ...buildEventConsensus(eventId, odds, options)
+  });
 });
 
-app.get('/api/football/odds', (req, res) => {
-  res.json(oddsCache.getAllFootballOdds());
+// League-wide variant (?league= narrows multi-league sports), soonest events first
+app.get('/api/:sport/best', (req, res) => {
+  const options = parseBestQuery(req.query);
+  if (!options) {
+    return res.status(400).json({ error: `type must be one of: ${MARKET_TYPES.join(', ')}` });
+  }
+  const sport = req.sport.key;
+  const { league } = req.query;
+  if (league && !req.sport.leagues.includes(league)) {
+    return res.status(404).json({ error: `Unknown league: ${league}` });
+  }
+
+  const events = Object.keys(oddsCache.getOdds(sport))
+    .map(eventId => ({ eventId, league: oddsCache.getLeague(sport, eventId) }))
+    .filter(event => !league || event.league === league)
+    .map(({ eventId, league: eventLeague }) => ({
+      league: eventLeague,
+      ...buildEventConsensus(eventId, oddsCache.getCurrentNormalizedOdds(sport, eventId), options)
+    }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  res.json({ sport, league: league || null, method: options.method, eventCount: events.length, events });
 });
 
-app.get('/api/football/all/:league', (req, res) => {
-  const { league } = req.params;
-  const events = oddsCache.getFootballEvents(league);
-  const allOdds = oddsCache.getAllFootballOdds();
-  const eventsWithOdds = (events.events || []).map(event => ({
-    ...event,
-    odds: allOdds.odds[event.id] || null
-  }));
+// ==================== PLAYER PROP ROUTES ====================
+
+// Every book's line and over/under prices for a player and stat, e.g.
+// /api/nba/props?player=jokic&stat=rebounds (&eventId=&bookmaker=&differsOnly=true)
+app.get('/api/:sport/props', (req, res) => {
+  const { player, stat, eventId, bookmaker } = req.query;
+  const props = propExplorer.search(oddsCache.getCurrentOdds(req.sport.key), {
+    player,
+    stat,
+    eventId,
+    bookmaker,
+    differsOnly: req.query.differsOnly === 'true'
+  });
   res.json({
-    league,
-    events: eventsWithOdds,
-    lastEventsUpdate: events.lastUpdate,
-    lastOddsUpdate: allOdds.lastUpdate,
-    totalEvents: events.count,
-    eventsWithOdds: eventsWithOdds.filter(e => e.odds).length
+    sport: req.sport.key,
+    dfs: { bookmakers: propExplorer.dfsBookmakers, impliedPrice: propExplorer.dfsImpliedPrice },
+    count: props.length,
+    props
   });
 });
 
-app.get('/api/football/all', (req, res) => {
-  const events = oddsCache.getFootballEvents();
-  const allOdds = oddsCache.getAllFootballOdds();
-  const result = {};
-  for (const league of events.leagues || []) {
-    const leagueEvents = events.events[league] || [];
-    result[league] = leagueEvents.map(event => ({
-      ...event,
-      odds: allOdds.odds[event.id] || null
-    }));
+app.get('/api/:sport/props/players', (req, res) => {
+  const players = propExplorer.getPlayers(oddsCache.getCurrentOdds(req.sport.key));
+  res.json({ sport: req.sport.key, count: players.length, players });
+});
+
+// ==================== ARBITRAGE ROUTES ====================
+
+// ?sport=&type=arb|middle&eventId=&minProfit=&bankroll=
+app.get('/api/arbs', (req, res) => {
+  const { sport, type, eventId } = req.query;
+  if (sport && !sportRegistry.has(sport)) {
+    return res.status(400).json({ error: `Unknown sport: ${sport}` });
   }
-  res.json({
-    leagues: result,
-    lastOddsUpdate: allOdds.lastUpdate,
-    totalEvents: Object.values(result).flat().length,
-    eventsWithOdds: Object.values(result).flat().filter(e => e.odds).length
+  if (type && !['arb', 'middle'].includes(type)) {
+    return res.status(400).json({ error: 'type must be arb or middle' });
+  }
+
+  const filters = { sport, type, eventId };
+  for (const field of ['minProfit', 'bankroll']) {
+    if (req.query[field] === undefined) continue;
+    filters[field] = parseFloat(req.query[field]);
+    if (!Number.isFinite(filters[field])) {
+      return res.status(400).json({ error: `${field} must be a number` });
+    }
+  }
+  if (filters.bankroll !== undefined && filters.bankroll <= 0) {
+    return res.status(400).json({ error: 'bankroll must be positive' });
+  }
+
+  res.json(arbDetector.getArbs(filters));
+});
+
+// ==================== HISTORY ROUTES ====================
+
+app.get('/api/:sport/odds/:eventId/history', (req, res) => {
+  const { eventId } = req.params;
+  const { bookmaker, market, outcome } = req.query;
+  const history = oddsHistory.getEventHistory(req.sport.key, eventId, { bookmaker, market, outcome });
+  if (!history) {
+    return res.status(404).json({ error: 'No history for this event' });
+  }
+  res.json(history);
+});
+
+// ==================== SSE STREAM ====================
+// GET /api/stream?sports=&eventIds=&events= - the broadcast events as Server-Sent Events.
+// Reconnecting clients resume from the Last-Event-ID header (or ?lastEventId= for the first
+// request), or get `streamReset` when the missed events are no longer buffered
+
+app.get('/api/stream', (req, res) => {
+  const { filter, error } = eventStream.parseFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  eventStream.connect(req, res, filter, req.get('Last-Event-ID') || req.query.lastEventId);
+});
+
+// ==================== EXPORT ROUTES ====================
+// Flat CSV/NDJSON rows for spreadsheets and dataframes, with the list-route filters (?fields=
+// picks columns). ?limit=&cursor= page over events, the next cursor comes in an X-Next-Cursor header
+
+// Cached odds (type=odds) or events with recorded line history (type=history), tagged with league.
+// History series are read per event while streaming (see exporter.historyRows)
+const exportEvents = (sport, type) => {
+  if (type === 'odds') {
+    return Object.entries(oddsCache.getOdds(sport))
+      .map(([id, eventOdds]) => ({ id, league: oddsCache.getLeague(sport, id), ...eventOdds }));
+  }
+
+  return oddsHistory.getEventIds(sport).map(id => {
+    const eventOdds = oddsCache.getOdds(sport, id);
+    return {
+      id,
+      league: oddsCache.getLeague(sport, id),
+      home: eventOdds?.home ?? null,
+      away: eventOdds?.away ?? null,
+      date: eventOdds?.date ?? oddsHistory.getStartsAt(sport, id)
+    };
   });
+};
+
+app.get('/api/export/:sport', checkListQuery, async (req, res) => {
+  const sport = req.sport.key;
+  const options = req.listQuery;
+  const { format = 'csv', type = 'odds', league } = req.query;
+
+  if (!exporter.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${exporter.EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!exporter.EXPORT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${exporter.EXPORT_TYPES.join(', ')}` });
+  }
+  const { columns, error } = exporter.exportColumns(type, options.fields);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const events = exportEvents(sport, type).filter(event => !league || event.league === league);
+    const { items, page } = queryList(options, events);
+    if (page) {
+      res.set('X-Total-Count', String(page.total));
+      if (page.nextCursor) res.set('X-Next-Cursor', page.nextCursor);
+    }
+    res.set('Content-Type', exporter.CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${sport}-${type}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    const rows = type === 'odds' ? exporter.oddsRows(sport, items, options) : exporter.historyRows(sport, items, options);
+    const count = await exporter.streamRows(res, format, columns, rows);
+    console.log(`[Export] ${sport} ${type} (${format}): ${count} rows from ${items.length} events`);
+  } catch (error) {
+    // A bad cached value (e.g. an unparseable date) can surface mid-stream, after the headers went out
+    console.error(`[Export] ${sport} ${type} (${format}) failed: ${error.message}`);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Export failed' });
+    }
+    res.destroy(error);
+  }
+});
+
+// ==================== ALERT ROUTES ====================
+
+// Authenticated users only see and manage their own rules (admins can act for any owner)
+
+// Rule by id, hidden from users who don't own it
+const findRule = (req) => {
+  const rule = alertEngine.getRule(req.params.id);
+  return rule && auth.canActFor(req.user, rule.owner) ? rule : null;
+};
+
+app.get('/api/alerts/rules', (req, res) => {
+  const rules = alertEngine.getRules(auth.ownerFilter(req.user, req.query.owner));
+  res.json({ rules, count: rules.length });
+});
+
+app.post('/api/alerts/rules', (req, res) => {
+  const input = { ...req.body, owner: auth.ownerFor(req.user, req.body?.owner) };
+  const error = alertEngine.validate(input);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(alertEngine.createRule(input));
+});
+
+app.get('/api/alerts/rules/:id', (req, res) => {
+  const rule = findRule(req);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  res.json(rule);
+});
+
+app.put('/api/alerts/rules/:id', (req, res) => {
+  const existing = findRule(req);
+  if (!existing) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  const error = alertEngine.validate({ ...existing, ...req.body, owner: existing.owner });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(alertEngine.updateRule(req.params.id, req.body));
+});
+
+app.delete('/api/alerts/rules/:id', (req, res) => {
+  if (!findRule(req) || !alertEngine.deleteRule(req.params.id)) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  res.status(204).end();
+});
+
+app.get('/api/alerts/recent', (req, res) => {
+  const alerts = alertEngine.getRecent(auth.ownerFilter(req.user, req.query.owner));
+  res.json({ alerts, count: alerts.length });
+});
+
+// ==================== BET ROUTES ====================
+
+// Bets are graded for CLV once their event kicks off; users only see and log their own
+
+// Bet by id, hidden from users who don't own it
+const findBet = (req) => {
+  const bet = betLog.getBet(req.params.id);
+  return bet && auth.canActFor(req.user, bet.owner) ? bet : null;
+};
+
+app.get('/api/bets', (req, res) => {
+  const { sport, bookmaker, status } = req.query;
+  const bets = betLog.getBets({ owner: auth.ownerFilter(req.user, req.query.owner), sport, bookmaker, status });
+  res.json({ bets, count: bets.length });
+});
+
+app.post('/api/bets', (req, res) => {
+  const input = { ...req.body, owner: auth.ownerFor(req.user, req.body?.owner) };
+  const error = betLog.validate(input);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(betLog.createBet(input));
+});
+
+// Aggregate CLV per owner (?by=owner) or bookmaker (?by=bookmaker)
+app.get('/api/bets/report', (req, res) => {
+  const options = { groupBy: req.query.by || 'owner', sport: req.query.sport };
+  const error = betLog.validateReport(options);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const groups = betLog.report({ ...options, owner: auth.ownerFilter(req.user, req.query.owner) });
+  res.json({ by: options.groupBy, reference: betLog.reference, groups });
+});
+
+app.get('/api/bets/:id', (req, res) => {
+  const bet = findBet(req);
+  if (!bet) {
+    return res.status(404).json({ error: 'Bet not found' });
+  }
+  res.json(bet);
+});
+
+app.delete('/api/bets/:id', (req, res) => {
+  if (!findBet(req) || !betLog.deleteBet(req.params.id)) {
+    return res.status(404).json({ error: 'Bet not found' });
+  }
+  res.status(204).end();
+});
+
+app.get('/api/:sport/closing/:eventId', (req, res) => {
+  const closing = closingLines.get(req.sport.key, req.params.eventId);
+  if (!closing) {
+    return res.status(404).json({ error: 'No closing lines for this event' });
+  }
+  res.json(closing);
+});
+
+// ==================== REFRESH JOB ROUTES ====================
+
+// Manual, scheduled and startup refreshes run as jobs: one at a time per sport, with progress
+// and cancellation. Finished jobs are kept for JOB_HISTORY_SIZE more
+
+app.get('/api/jobs', (req, res) => {
+  const { status, sport } = req.query;
+  const jobs = refreshJobs.getJobs({ status, sport }).reverse();
+  res.json({ jobs, count: jobs.length, ...refreshJobs.getStatus() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = refreshJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Running jobs stop before their next event fetch; what was already fetched is kept
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = refreshJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  // Scheduled, startup and anonymous jobs have no requester, so only admins can cancel them
+  const isRequester = job.requestedBy !== null && job.requestedBy === req.user.id;
+  if (!isRequester && !auth.hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Only the requester or an admin can cancel this job' });
+  }
+  if (!refreshJobs.cancel(job.id)) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  res.status(202).json(job);
 });
 
 // ==================== ADMIN ROUTES ====================
 
-app.post('/api/admin/refresh', async (req, res) => {
+// Queues a refresh job (or joins one already covering the request); poll it at the Location
+app.post('/api/admin/refresh', refreshLimit, (req, res) => {
   const { type } = req.body;
-  res.json({ message: 'Refresh started', type: type || 'all' });
+  if (type && type !== 'all' && !sportRegistry.has(type)) {
+    return res.status(400).json({ error: `Unknown sport: ${type}` });
+  }
+  const job = refreshJobs.request({ type: type || 'all', source: 'api', requestedBy: req.user.id });
+  res.status(202).location(`/api/jobs/${job.id}`).json({
+    message: job.requests > 1 ? 'Refresh already queued' : 'Refresh queued',
+    type: job.type,
+    job
+  });
+});
 
-  if (type === 'nba') {
-    oddsCache.fetchNbaEvents().then(() => oddsCache.refreshNbaOdds());
-  } else if (type === 'football') {
-    oddsCache.refreshFootballOdds();
-  } else {
-    oddsCache.refreshAll();
+// ==================== SPORT CONFIG ROUTES ====================
+// Runtime leagues and bookmakers per sport (enabled ones in priority order). New ones are checked
+// against the odds API; every change is saved and announced with a `sportConfig` event
+
+// Clear what the cache holds for a league or bookmaker that stopped being tracked, then notify clients
+const applyConfigChange = (sport, kind, action, name, wasEnabled) => {
+  const config = sportConfig.getConfig(sport);
+  if (name && wasEnabled && !config[kind].includes(name)) {
+    if (kind === 'leagues') {
+      const evicted = oddsCache.dropLeague(sport, name);
+      forgetEvents(evicted);
+      if (evicted.length > 0) broadcastFreshness(sport, 'eventsEvicted', 'events', evicted);
+    } else {
+      // Re-derive and re-send the events that lost the book's prices, as a refetch would
+      for (const eventId of oddsCache.dropBookmaker(sport, name)) {
+        const odds = oddsCache.getOdds(sport, eventId);
+        const current = oddsCache.withoutStale(odds);
+        const league = oddsCache.getLeague(sport, eventId);
+        evCalculator.computeEvent(sport, eventId, current);
+        broadcastArbs(sport, arbDetector.detect(sport, eventId, current));
+        broadcastOddsUpdate(sport, { sport, eventId, odds, timestamp: new Date() }, league);
+
+        const delta = oddsDelta.apply(sport, eventId, odds);
+        if (delta) broadcastDelta(sport, delta, league);
+      }
+    }
+  }
+  broadcast('sportConfig', { sport, kind, action, name: name ?? null, config, timestamp: new Date() });
+  return config;
+};
+
+app.get('/api/admin/sports/:sport/config', (req, res) => {
+  res.json(sportConfig.getConfig(req.sport.key));
+});
+
+app.post('/api/admin/sports/:sport/:kind', async (req, res) => {
+  const sport = req.sport.key;
+  const { kind } = req.params;
+  const error = sportConfig.validate(sport, kind, 'add', req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let verified;
+  try {
+    verified = await sportConfig.verify(sport, kind, req.body.name);
+  } catch (verifyError) {
+    // e.g. a malformed catalog from the odds API
+    console.error(`[SportConfig] Could not verify ${req.body.name}: ${verifyError.message}`);
+    return res.status(502).json({ error: `Could not verify ${req.body.name} against the odds API` });
+  }
+  if (verified.error) {
+    return res.status(verified.upstream ? 502 : 400).json({ error: verified.error });
+  }
+  // Upstream spelling, which may still clash with a configured name in another case
+  if (sportConfig.has(sport, kind, verified.name)) {
+    return res.status(400).json({ error: `${verified.name} is already configured` });
+  }
+
+  sportConfig.add(sport, kind, { ...req.body, name: verified.name });
+  res.status(201).json(applyConfigChange(sport, kind, 'add', verified.name, false));
+});
+
+// Priority order of the enabled items: { order: [...] }
+app.put('/api/admin/sports/:sport/:kind', (req, res) => {
+  const sport = req.sport.key;
+  const { kind } = req.params;
+  const error = sportConfig.validate(sport, kind, 'order', req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  sportConfig.setOrder(sport, kind, req.body.order);
+  res.json(applyConfigChange(sport, kind, 'order'));
+});
+
+// { enabled, position } - enable, disable or move one item
+app.put('/api/admin/sports/:sport/:kind/:name', (req, res) => {
+  const sport = req.sport.key;
+  const { kind, name } = req.params;
+  const input = { ...req.body, name };
+  const error = sportConfig.validate(sport, kind, 'update', input);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!sportConfig.has(sport, kind, name)) {
+    return res.status(404).json({ error: `${name} is not configured` });
+  }
+
+  const wasEnabled = sportRegistry.get(sport)[kind].includes(name);
+  sportConfig.update(sport, kind, input);
+  res.json(applyConfigChange(sport, kind, 'update', name, wasEnabled));
+});
+
+app.delete('/api/admin/sports/:sport/:kind/:name', (req, res) => {
+  const sport = req.sport.key;
+  const { kind, name } = req.params;
+  const error = sportConfig.validate(sport, kind, 'remove', { name });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!sportConfig.has(sport, kind, name)) {
+    return res.status(404).json({ error: `${name} is not configured` });
+  }
+
+  const wasEnabled = sportRegistry.get(sport)[kind].includes(name);
+  sportConfig.remove(sport, kind, name);
+  res.json(applyConfigChange(sport, kind, 'remove', name, wasEnabled));
+});
+
+// ==================== WEBHOOK ROUTES ====================
+
+app.get('/api/admin/webhooks', (req, res) => {
+  const targets = webhooks.getTargets();
+  res.json({ webhooks: targets, count: targets.length });
+});
+
+app.post('/api/admin/webhooks', (req, res) => {
+  const error = webhooks.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  // The full secret is only returned here, store it to verify signatures
+  res.status(201).json(webhooks.register(req.body));
+});
+
+app.get('/api/admin/webhooks/deliveries', (req, res) => {
+  const { webhookId, status, event } = req.query;
+  const deliveries = webhooks.getDeliveries({ webhookId, status, event });
+  res.json({ deliveries, count: deliveries.length });
+});
+
+app.get('/api/admin/webhooks/:id', (req, res) => {
+  const target = webhooks.getTarget(req.params.id);
+  if (!target) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(webhooks.toPublic(target));
+});
+
+app.put('/api/admin/webhooks/:id', (req, res) => {
+  const target = webhooks.getTarget(req.params.id);
+  if (!target) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const error = webhooks.validate({ ...target, ...req.body });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(webhooks.toPublic(webhooks.update(req.params.id, req.body)));
+});
+
+app.delete('/api/admin/webhooks/:id', (req, res) => {
+  if (!webhooks.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.status(204).end();
+});
+
+// Send a signed test payload and wait for the outcome
+app.post('/api/admin/webhooks/:id/test', async (req, res) => {
+  const target = webhooks.getTarget(req.params.id);
+  if (!target) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  try {
+    res.json(await webhooks.deliver(target, 'ping', { message: 'Webhook test', timestamp: new Date() }));
+  } catch (error) {
+    console.error(`[Webhook] Test delivery to ${target.url} failed: ${error.message}`);
+    res.status(500).json({ error: `Test delivery failed: ${error.message}` });
   }
 });
 
 // ==================== SCHEDULER ====================
 
-const REFRESH_INTERVAL = process.env.REFRESH_INTERVAL || '*/10 * * * *';
+// 'adaptive' refreshes each event on its own kickoff/volatility-based interval within
+// the hourly budget; 'cron' runs full refreshes on each sport's refreshInterval
+const SCHEDULER_MODE = process.env.SCHEDULER_MODE === 'cron' ? 'cron' : 'adaptive';
 
-cron.schedule(REFRESH_INTERVAL, () => {
-  console.log(`\n[Scheduler] Starting scheduled refresh at ${new Date().toISOString()}`);
-  broadcast('scheduledRefresh', { timestamp: new Date() });
-  oddsCache.refreshAll();
+if (SCHEDULER_MODE === 'cron') {
+  // One cron job per distinct refresh cadence in the sport registry
+  const sportsByInterval = {};
+  for (const sport of sportRegistry.list()) {
+    (sportsByInterval[sport.refreshInterval] ||= []).push(sport.key);
+  }
+
+  for (const [interval, sports] of Object.entries(sportsByInterval)) {
+    cron.schedule(interval, () => {
+      console.log(`\n[Scheduler] Starting scheduled refresh (${sports.join(', ')}) at ${new Date().toISOString()}`);
+      broadcast('scheduledRefresh', { timestamp: new Date(), sports });
+      refreshJobs.request({ type: 'all', sports, source: 'cron' });
+    });
+  }
+}
+
+app.get('/api/scheduler', (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  res.json({ mode: SCHEDULER_MODE, ...refreshScheduler.getStatus({ limit }), live: liveTracker.getStatus() });
 });
 
 // Emit status every 30 seconds
 setInterval(emitStatus, 30000);
 
+eventStream.start();
+
+setInterval(sweepCache, 60 * 1000);
+
+// Drop line history for finished events, old closing lines and expired refresh limits every 10 minutes
+setInterval(() => {
+  oddsHistory.prune();
+  if (closingLines.prune() > 0) betLog.scheduleSave();
+  auth.pruneRefreshLog();
+}, 10 * 60 * 1000);
+
+// ==================== PERSISTENCE ====================
+
+// Runtime league and bookmaker settings first, the snapshot is trimmed to them
+sportConfig.load();
+
+// Warm-start from the last snapshot and rebuild the derived indexes from it
+const warmStart = persistence.load(oddsCache);
+if (warmStart) {
+  for (const sport of sportRegistry.keys()) {
+    for (const [eventId, eventOdds] of Object.entries(oddsCache.getOdds(sport))) {
+      evCalculator.computeEvent(sport, eventId, oddsCache.withoutStale(eventOdds));
+      oddsDelta.apply(sport, eventId, eventOdds);
+    }
+  }
+}
+persistence.start(oddsCache);
+betLog.load();
+
+// Save a final snapshot before the platform stops us (e.g. Render redeploys)
+const shutdown = async (signal) => {
+  console.log(`[Shutdown] ${signal} received, saving snapshot...`);
+  persistence.stop();
+  eventStream.stop();
+  await persistence.save(oddsCache, { final: true });
+  await betLog.save();
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ==================== START SERVER ====================
 
 httpServer.listen(PORT, () => {
@@ -333,35 +1475,106 @@ httpServer.listen(PORT, () => {
 ║  HTTP Server: port ${PORT}                                        ║
 ║  WebSocket:   enabled                                         ║
 ║  API calls:   5000/hour limit                                 ║
-║  Refresh:     Every 10 minutes                                ║
+║  Refresh:     ${SCHEDULER_MODE.padEnd(48)}║
+║  Upstream:    ${upstreamProvider.mode.padEnd(48)}║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  REST Endpoints:                                              ║
 ║  GET  /api/status              - Cache status                 ║
+║  GET  /metrics                 - Prometheus metrics           ║
+║  GET  /api/sports              - Registered sports            ║
+║  GET  /api/auth/me             - Current user and role        ║
+║  GET  /api/:sport/...          - Same routes for any sport    ║
 ║  GET  /api/nba/events          - NBA events                   ║
 ║  GET  /api/nba/odds/:id        - NBA odds for event           ║
 ║  GET  /api/nba/all             - All NBA data                 ║
+║  GET  /api/nba/ev              - NBA +EV prices               ║
 ║  GET  /api/football/events     - Football events              ║
 ║  GET  /api/football/odds/:id   - Football odds for event      ║
 ║  GET  /api/football/all        - All football data            ║
-║  POST /api/admin/refresh       - Manual refresh               ║
+║  GET  /api/football/ev         - Football +EV prices          ║
+║  GET  /api/:sport/odds?format=normalized - Canonical markets  ║
+║  GET  /api/:sport/...?limit=&cursor=&fields= - Paged lists    ║
+║  GET  /api/:sport/odds/:id/history - Line movement            ║
+║  GET  /api/:sport/best/:id     - Best prices and consensus    ║
+║  GET  /api/:sport/best         - League-wide best prices      ║
+║  GET  /api/nba/props           - Player props across books    ║
+║  GET  /api/nba/props/players   - Players and stats offered    ║
+║  GET  /api/:sport/freshness    - Price age, stale and evicted ║
+║  GET  /api/:sport/live         - In-play events and odds      ║
+║  GET  /api/stream?sports=&eventIds=&events= - SSE event feed  ║
+║  GET  /api/export/:sport?format=csv|ndjson - Flat odds rows   ║
+║  GET  /api/export/:sport?type=history - Flat line history     ║
+║  GET  /api/arbs                - Arbitrage and middles        ║
+║  GET  /api/scheduler           - Refresh queue and budget     ║
+║  GET  /api/alerts/rules        - List alert rules             ║
+║  POST /api/alerts/rules        - Create alert rule            ║
+║  PUT  /api/alerts/rules/:id    - Update alert rule            ║
+║  DEL  /api/alerts/rules/:id    - Delete alert rule            ║
+║  GET  /api/alerts/recent       - Recently fired alerts        ║
+║  GET  /api/bets                - Logged bets with CLV         ║
+║  POST /api/bets                - Log a bet                    ║
+║  GET  /api/bets/report?by=     - CLV per owner or bookmaker   ║
+║  GET  /api/:sport/closing/:id  - Closing lines and no-vig     ║
+║  POST /api/admin/refresh       - Queue a refresh job          ║
+║  GET  /api/jobs                - Running, queued and recent   ║
+║  GET  /api/jobs/:id            - Refresh job status/progress  ║
+║  POST /api/jobs/:id/cancel     - Cancel a refresh job         ║
+║  GET  /api/admin/sports/:sport/config - Leagues and books     ║
+║  POST /api/admin/sports/:sport/leagues|bookmakers - Add one   ║
+║  PUT  /api/admin/sports/:sport/:kind/:name - Enable/disable   ║
+║  PUT  /api/admin/sports/:sport/:kind - Priority order         ║
+║  DEL  /api/admin/sports/:sport/:kind/:name - Remove one       ║
+║  GET  /api/admin/webhooks      - List webhook targets         ║
+║  POST /api/admin/webhooks      - Register webhook target      ║
+║  GET  /api/admin/webhooks/deliveries - Delivery log           ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  WebSocket Events (Server -> Client):                         ║
 ║  - status           Status updates every 30s                  ║
 ║  - snapshot         Full data on connect                      ║
 ║  - refreshStart     Cache refresh starting                    ║
 ║  - refreshComplete  Cache refresh finished                    ║
+║  - refreshJob       Refresh job queued, started or finished   ║
+║  - refreshProgress  Running job progress and API calls used   ║
 ║  - nbaUpdate        NBA data updated                          ║
 ║  - footballUpdate   Football data updated                     ║
+║  - <sport>Update    Data updated for other registered sports  ║
 ║  - oddsUpdate       Individual event odds updated             ║
+║  - oddsDelta        Changed markets only (delta mode)         ║
+║  - resync           Events missed since last version (delta)  ║
+║  - alert            Alert rule matched (rule owner only)      ║
+║  - betGraded        Bet graded for CLV (bet owner only)       ║
+║  - arbFound         New arb or middle detected                ║
+║  - arbGone          Arb or middle no longer available         ║
+║  - oddsStale        Bookmaker prices stale (failed or aged)   ║
+║  - eventsEvicted    Finished or dropped events removed        ║
+║  - liveSnapshot     In-play events on joining 'live'          ║
+║  - liveUpdate       In-play odds updated ('live' room)        ║
+║  - liveEvents       Games went in play or ended ('live' room) ║
 ║  - scheduledRefresh Scheduled refresh triggered               ║
+║  - refreshDenied    Refresh refused (role or rate limit)      ║
+║  - subscribeError   Invalid subscription filters              ║
+║  - sportConfig      Leagues or bookmakers changed by an admin ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  WebSocket Events (Client -> Server):                         ║
-║  - subscribe        Subscribe to sport (nba/football)         ║
+║  - subscribe        Sport + event/league/book/market filters  ║
+║  - unsubscribe      Drop a sport or some of its filters       ║
 ║  - requestRefresh   Request manual refresh                    ║
+║  - resume           Delta client resume from versions         ║
+║  - identify         Join alert room for an owner              ║
+║  - joinLive         Join the 'live' room (or leaveLive)       ║
 ╚═══════════════════════════════════════════════════════════════╝
   `);
 
-  // Initial fetch on startup
-  console.log('[Startup] Starting initial data fetch...');
-  oddsCache.refreshAll();
+  // In-play polling runs alongside either scheduler, on its own budget
+  liveTracker.start();
+
+  // The adaptive scheduler picks up whatever is stale or missing on its first tick
+  if (SCHEDULER_MODE === 'adaptive') {
+    refreshScheduler.start();
+    return;
+  }
+
+  // Initial fetch on startup - after a warm start only stale data is refetched
+  console.log(`[Startup] Starting initial data fetch${warmStart ? ' (stale entries only)' : ''}...`);
+  refreshJobs.request({ type: 'all', maxAgeMs: warmStart ? persistence.maxAgeMs : null, source: 'startup' });
 });
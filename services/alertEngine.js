@@ -0,0 +1,320 @@
+// services/alertEngine.js
+// User-defined alert rules evaluated after every per-event odds fetch
+
+const crypto = require('crypto');
+const sportRegistry = require('./sportRegistry');
+const evCalculator = require('./evCalculator');
+const oddsHistory = require('./oddsHistory');
+const { extractLines } = require('./markets');
+
+const ALERT_DEFAULT_COOLDOWN_MINUTES = parseInt(process.env.ALERT_DEFAULT_COOLDOWN_MINUTES) || 30;
+const ALERT_RECENT_LIMIT = 200;
+
+const RULE_TYPES = ['ev', 'lineMove', 'newMarket'];
+const FILTER_FIELDS = ['eventId', 'league', 'bookmaker', 'market', 'outcome', 'label'];
+
+// Case-insensitive "contains" match, so `market: 'points'` matches player points props
+const matchesText = (filter, value) =>
+  !filter || (value != null && String(value).toLowerCase().includes(String(filter).toLowerCase()));
+
+class AlertEngine {
+  constructor() {
+    this.rules = {}; // { ruleId: rule }
+
+    // Dedup state: { ruleId: { matchKey: { at, price } } }
+    this.fired = {};
+
+    // Lines seen per event for newMarket rules: { sport: { eventId: Set(bookmaker|lineKey) } }
+    this.seenLines = {};
+
+    this.recent = [];
+  }
+
+  // ==================== RULE CRUD ====================
+
+  // Returns an error message for an invalid rule, or null
+  validate(input) {
+    if (!input || typeof input !== 'object') return 'Rule body is required';
+    if (!input.owner || typeof input.owner !== 'string') return 'owner is required';
+    if (!sportRegistry.has(input.sport)) return `sport must be one of: ${sportRegistry.keys().join(', ')}`;
+    if (!RULE_TYPES.includes(input.type)) return `type must be one of: ${RULE_TYPES.join(', ')}`;
+
+    if (input.type === 'ev' && !Number.isFinite(input.minEv)) {
+      return 'minEv is required for ev rules';
+    }
+    if (input.type === 'lineMove') {
+      if (!Number.isFinite(input.minChangePct) || input.minChangePct <= 0) {
+        return 'minChangePct must be a positive number for lineMove rules';
+      }
+      if (!Number.isFinite(input.windowMinutes) || input.windowMinutes <= 0) {
+        return 'windowMinutes must be a positive number for lineMove rules';
+      }
+      if (input.direction && !['up', 'down', 'any'].includes(input.direction)) {
+        return 'direction must be one of: up, down, any';
+      }
+    }
+    if (input.cooldownMinutes !== undefined && (!Number.isFinite(input.cooldownMinutes) || input.cooldownMinutes < 0)) {
+      return 'cooldownMinutes must be a non-negative number';
+    }
+    return null;
+  }
+
+  // Keep only known fields so clients can't stash arbitrary data on a rule
+  sanitize(input) {
+    const rule = {
+      owner: input.owner,
+      name: input.name || `${input.sport} ${input.type} alert`,
+      sport: input.sport,
+      type: input.type,
+      filters: {},
+      cooldownMinutes: input.cooldownMinutes ?? ALERT_DEFAULT_COOLDOWN_MINUTES,
+      enabled: input.enabled !== false
+    };
+
+    for (const field of FILTER_FIELDS) {
+      if (input.filters?.[field]) rule.filters[field] = input.filters[field];
+    }
+
+    if (rule.type === 'ev') {
+      rule.minEv = input.minEv;
+    }
+    if (rule.type === 'lineMove') {
+      rule.minChangePct = input.minChangePct;
+      rule.windowMinutes = input.windowMinutes;
+      rule.direction = input.direction || 'any';
+    }
+
+    return rule;
+  }
+
+  createRule(input) {
+    const rule = {
+      id: crypto.randomUUID(),
+      ...this.sanitize(input),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    this.rules[rule.id] = rule;
+    console.log(`[Alerts] Rule ${rule.id} created for ${rule.owner} (${rule.sport} ${rule.type})`);
+    return rule;
+  }
+
+  updateRule(id, input) {
+    const existing = this.rules[id];
+    if (!existing) return null;
+
+    const rule = {
+      id,
+      ...this.sanitize({ ...existing, ...input, owner: existing.owner }),
+      createdAt: existing.createdAt,
+      updatedAt: new Date()
+    };
+    this.rules[id] = rule;
+    delete this.fired[id];
+    return rule;
+  }
+
+  deleteRule(id) {
+    if (!this.rules[id]) return false;
+    delete this.rules[id];
+    delete this.fired[id];
+    return true;
+  }
+
+  getRule(id) {
+    return this.rules[id] || null;
+  }
+
+  getRules(owner) {
+    return Object.values(this.rules).filter(rule => !owner || rule.owner === owner);
+  }
+
+  getRecent(owner) {
+    return this.recent.filter(alert => !owner || alert.owner === owner);
+  }
+
+  // ==================== EVALUATION ====================
+
+  // Evaluate every enabled rule for the sport against one event's fresh odds
+  evaluate(sport, eventId, eventOdds, { league } = {}) {
+    const alerts = [];
+    const newLines = this.trackNewLines(sport, eventId, eventOdds);
+
+    for (const rule of Object.values(this.rules)) {
+      if (!rule.enabled || rule.sport !== sport) continue;
+      // Upstream ids are numbers, REST filters strings
+      if (rule.filters.eventId && String(rule.filters.eventId) !== String(eventId)) continue;
+      if (rule.filters.league && rule.filters.league !== league) continue;
+
+      let matches = [];
+      if (rule.type === 'ev') {
+        matches = this.matchEv(rule, sport, eventId);
+      } else if (rule.type === 'lineMove') {
+        matches = this.matchLineMove(rule, sport, eventId);
+      } else if (rule.type === 'newMarket') {
+        matches = newLines.filter(line => this.matchesFilters(rule, line));
+      }
+
+      for (const match of this.dedupe(rule, eventId, matches)) {
+        const alert = {
+          id: crypto.randomUUID(),
+          ruleId: rule.id,
+          ruleName: rule.name,
+          owner: rule.owner,
+          type: rule.type,
+          sport,
+          league: league || null,
+          eventId,
+          home: eventOdds.home,
+          away: eventOdds.away,
+          date: eventOdds.date,
+          match,
+          timestamp: new Date()
+        };
+        alerts.push(alert);
+      }
+    }
+
+    if (alerts.length > 0) {
+      this.recent.unshift(...alerts);
+      this.recent.length = Math.min(this.recent.length, ALERT_RECENT_LIMIT);
+      console.log(`[Alerts] ${alerts.length} alerts fired for ${sport} event ${eventId}`);
+    }
+
+    return alerts;
+  }
+
+  matchesFilters(rule, line) {
+    const { bookmaker, market, outcome, label } = rule.filters;
+    return (!bookmaker || bookmaker === line.bookmaker) &&
+      matchesText(market, line.market) &&
+      (!outcome || outcome === line.outcome) &&
+      matchesText(label, line.label);
+  }
+
+  matchEv(rule, sport, eventId) {
+    return evCalculator.getEv(sport, { eventId, minEv: rule.minEv })
+      .opportunities
+      .filter(opp => this.matchesFilters(rule, opp))
+      .map(opp => ({
+        bookmaker: opp.bookmaker,
+        market: opp.market,
+        hdp: opp.hdp,
+        label: opp.label,
+        outcome: opp.outcome,
+        price: opp.price,
+        fairPrice: opp.fairPrice,
+        ev: opp.ev
+      }));
+  }
+
+  matchLineMove(rule, sport, eventId) {
+    const history = oddsHistory.getEventHistory(sport, eventId);
+    if (!history) return [];
+
+    const windowStart = Date.now() - rule.windowMinutes * 60 * 1000;
+    const matches = [];
+
+    for (const series of history.series) {
+      if (!this.matchesFilters(rule, series)) continue;
+
+      // Price at the start of the window (or the first price seen inside it)
+      const before = series.points.filter(p => new Date(p.at).getTime() <= windowStart);
+      const from = before.length > 0 ? before[before.length - 1] : series.points[0];
+      const to = series.current;
+      const changePct = ((to.price - from.price) / from.price) * 100;
+
+      if (Math.abs(changePct) < rule.minChangePct) continue;
+      if (rule.direction === 'up' && changePct < 0) continue;
+      if (rule.direction === 'down' && changePct > 0) continue;
+
+      matches.push({
+        bookmaker: series.bookmaker,
+        market: series.market,
+        hdp: series.hdp,
+        label: series.label,
+        outcome: series.outcome,
+        price: to.price,
+        fromPrice: from.price,
+        fromTime: from.at,
+        changePct
+      });
+    }
+
+    return matches;
+  }
+
+  // Lines that appeared since the last fetch - the first sighting of an event only seeds the set
+  trackNewLines(sport, eventId, eventOdds) {
+    if (!this.seenLines[sport]) this.seenLines[sport] = {};
+    const seen = this.seenLines[sport][eventId];
+    const current = new Set();
+    const added = [];
+
+    for (const [bookmaker, markets] of Object.entries(eventOdds?.bookmakers || {})) {
+      for (const [lineKey, line] of Object.entries(extractLines(markets))) {
+        const key = `${bookmaker}|${lineKey}`;
+        current.add(key);
+        if (seen && !seen.has(key)) {
+          added.push({ bookmaker, market: line.market, hdp: line.hdp, label: line.label, prices: line.prices });
+        }
+      }
+    }
+
+    // Keep lines we already knew about so a book briefly pulling a market doesn't re-alert
+    if (seen) {
+      for (const key of current) seen.add(key);
+    } else {
+      this.seenLines[sport][eventId] = current;
+    }
+    return added;
+  }
+
+  // Forget the lines seen for an evicted event, and the dedupe state of its fired alerts
+  forget(sport, eventId) {
+    delete this.seenLines[sport]?.[eventId];
+
+    const prefix = `${eventId}|`;
+    for (const [ruleId, fired] of Object.entries(this.fired)) {
+      if (this.rules[ruleId]?.sport !== sport) continue;
+      for (const key of Object.keys(fired)) {
+        if (key.startsWith(prefix)) delete fired[key];
+      }
+    }
+  }
+
+  // Drop matches inside the rule's cooldown or identical to the last alert for the same line
+  dedupe(rule, eventId, matches) {
+    if (!this.fired[rule.id]) this.fired[rule.id] = {};
+    const fired = this.fired[rule.id];
+    const cooldownMs = rule.cooldownMinutes * 60 * 1000;
+    const now = Date.now();
+    const fresh = [];
+    const matchedKeys = new Set();
+
+    for (const match of matches) {
+      const key = `${eventId}|${match.bookmaker}|${match.market}|${match.hdp ?? ''}|${match.label ?? ''}|${match.outcome ?? ''}`;
+      matchedKeys.add(key);
+
+      const last = fired[key];
+      if (last && (now - last.at < cooldownMs || last.price === match.price)) continue;
+
+      fired[key] = { at: now, price: match.price };
+      fresh.push(match);
+    }
+
+    // Once a condition clears, the same price may alert again later (still subject to cooldown)
+    for (const [key, last] of Object.entries(fired)) {
+      if (key.startsWith(`${eventId}|`) && !matchedKeys.has(key)) {
+        fired[key] = { at: last.at, price: null };
+      }
+    }
+
+    return fresh;
+  }
+}
+
+// Singleton instance
+const alertEngine = new AlertEngine();
+
+module.exports = alertEngine;
@@ -0,0 +1,212 @@
+// services/arbDetector.js
+// Cross-bookmaker arbitrage and middle detection on the cached odds
+
+const { extractLines, threeWayMarkets, isCompleteLine } = require('./markets');
+
+const ARB_DEFAULT_BANKROLL = parseFloat(process.env.ARB_DEFAULT_BANKROLL) || 100;
+// Only report middles whose worst case (middle misses) loses at most this % of the bankroll
+const ARB_MIDDLE_MAX_LOSS_PCT = Number.isFinite(parseFloat(process.env.ARB_MIDDLE_MAX_LOSS_PCT))
+  ? parseFloat(process.env.ARB_MIDDLE_MAX_LOSS_PCT)
+  : 2;
+
+// Split a bankroll so every leg pays out the same amount
+const splitStakes = (prices, bankroll) => {
+  const inverse = prices.map(price => 1 / price);
+  const total = inverse.reduce((sum, p) => sum + p, 0);
+  const stakes = inverse.map(p => (bankroll * p) / total);
+  return { stakes, payout: bankroll / total };
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class ArbDetector {
+  constructor() {
+    // { sport: { eventId: { arbId: opportunity } } }
+    this.opportunities = {};
+    this.lastUpdate = {};
+  }
+
+  // Re-scan one event and report which opportunities appeared or disappeared
+  detect(sport, eventId, eventOdds) {
+    if (!this.opportunities[sport]) this.opportunities[sport] = {};
+
+    const previous = this.opportunities[sport][eventId] || {};
+    const current = {};
+
+    const linesByBookmaker = {};
+    for (const [bookmaker, markets] of Object.entries(eventOdds?.bookmakers || {})) {
+      linesByBookmaker[bookmaker] = extractLines(markets);
+    }
+
+    const meta = {
+      sport,
+      eventId,
+      home: eventOdds?.home,
+      away: eventOdds?.away,
+      date: eventOdds?.date
+    };
+
+    for (const opp of [...this.findArbs(linesByBookmaker), ...this.findMiddles(linesByBookmaker)]) {
+      current[opp.id] = { ...meta, ...opp, id: `${eventId}|${opp.id}`, detectedAt: previous[opp.id]?.detectedAt || new Date() };
+    }
+
+    this.opportunities[sport][eventId] = current;
+    this.lastUpdate[sport] = new Date();
+
+    return {
+      found: Object.keys(current).filter(id => !previous[id]).map(id => current[id]),
+      gone: Object.keys(previous).filter(id => !current[id]).map(id => previous[id])
+    };
+  }
+
+  // Same line across books: best price per outcome with implied probabilities under 100%
+  findArbs(linesByBookmaker) {
+    const best = {}; // { lineKey: { line, outcomes: { outcome: { bookmaker, price } } } }
+
+    const threeWay = threeWayMarkets(linesByBookmaker);
+
+    for (const [bookmaker, lines] of Object.entries(linesByBookmaker)) {
+      for (const [lineKey, line] of Object.entries(lines)) {
+        if (!best[lineKey]) best[lineKey] = { line, outcomes: {} };
+        for (const [outcome, price] of Object.entries(line.prices)) {
+          const current = best[lineKey].outcomes[outcome];
+          if (!current || price > current.price) {
+            best[lineKey].outcomes[outcome] = { bookmaker, price };
+          }
+        }
+      }
+    }
+
+    const arbs = [];
+    for (const [lineKey, { line, outcomes }] of Object.entries(best)) {
+      // An incomplete outcome set would look like a false arb
+      if (!isCompleteLine(line.market, outcomes, threeWay)) continue;
+      const legs = Object.entries(outcomes).map(([outcome, leg]) => ({ outcome, hdp: line.hdp, ...leg }));
+
+      const impliedSum = legs.reduce((sum, leg) => sum + 1 / leg.price, 0);
+      if (impliedSum >= 1) continue;
+
+      arbs.push({
+        id: `arb|${lineKey}|${legs.map(l => `${l.bookmaker}:${l.outcome}`).join(',')}`,
+        type: 'arb',
+        market: line.market,
+        hdp: line.hdp,
+        label: line.label,
+        legs,
+        impliedSum,
+        profitPct: (1 / impliedSum - 1) * 100
+      });
+    }
+
+    return arbs;
+  }
+
+  // Different lines on spreads/totals at different books that leave a window where both legs win
+  findMiddles(linesByBookmaker) {
+    // { market|label: { over: [...], under: [...], home: [...], away: [...] } }
+    const sides = {};
+
+    for (const [bookmaker, lines] of Object.entries(linesByBookmaker)) {
+      for (const line of Object.values(lines)) {
+        const hdp = parseFloat(line.hdp);
+        if (!Number.isFinite(hdp) || line.prices.draw) continue;
+
+        const groupKey = `${line.market}|${line.label ?? ''}`;
+        if (!sides[groupKey]) sides[groupKey] = { line, over: [], under: [], home: [], away: [] };
+        for (const outcome of ['over', 'under', 'home', 'away']) {
+          if (line.prices[outcome]) {
+            sides[groupKey][outcome].push({ bookmaker, outcome, hdp, price: line.prices[outcome] });
+          }
+        }
+      }
+    }
+
+    const middles = [];
+    for (const [groupKey, group] of Object.entries(sides)) {
+      // Totals: over a low line + under a higher line, middle when the total lands in between
+      for (const over of group.over) {
+        for (const under of group.under) {
+          if (under.hdp <= over.hdp || under.bookmaker === over.bookmaker) continue;
+          middles.push(this.buildMiddle(groupKey, group.line, [over, under], [over.hdp, under.hdp]));
+        }
+      }
+
+      // Spreads (hdp is the home handicap): home covers when margin > -home.hdp,
+      // away covers when margin < -away.hdp
+      for (const home of group.home) {
+        for (const away of group.away) {
+          if (away.hdp >= home.hdp || away.bookmaker === home.bookmaker) continue;
+          middles.push(this.buildMiddle(groupKey, group.line, [home, away], [-home.hdp, -away.hdp]));
+        }
+      }
+    }
+
+    return middles.filter(middle => middle.missProfitPct >= -ARB_MIDDLE_MAX_LOSS_PCT);
+  }
+
+  buildMiddle(groupKey, line, legs, window) {
+    const { payout } = splitStakes(legs.map(leg => leg.price), 1);
+    return {
+      id: `middle|${groupKey}|${legs.map(l => `${l.bookmaker}:${l.outcome}:${l.hdp}`).join(',')}`,
+      type: 'middle',
+      market: line.market,
+      label: line.label,
+      legs,
+      window,
+      width: window[1] - window[0],
+      impliedSum: legs.reduce((sum, leg) => sum + 1 / leg.price, 0),
+      // Return on the bankroll when only one leg wins, and when the middle hits
+      missProfitPct: (payout - 1) * 100,
+      hitProfitPct: (2 * payout - 1) * 100
+    };
+  }
+
+  // Drop an evicted event's opportunities and return them as gone
+  forget(sport, eventId) {
+    const previous = this.opportunities[sport]?.[eventId] || {};
+    delete this.opportunities[sport]?.[eventId];
+    return { found: [], gone: Object.values(previous) };
+  }
+
+  // Opportunities with stake splits for the given bankroll, best first
+  getArbs({ sport, type, eventId, minProfit, bankroll = ARB_DEFAULT_BANKROLL } = {}) {
+    const sports = sport ? [sport] : Object.keys(this.opportunities);
+    const results = [];
+
+    for (const s of sports) {
+      for (const [id, byId] of Object.entries(this.opportunities[s] || {})) {
+        if (eventId && id !== eventId) continue;
+        for (const opp of Object.values(byId)) {
+          if (type && opp.type !== type) continue;
+
+          const profit = opp.type === 'arb' ? opp.profitPct : opp.missProfitPct;
+          if (minProfit !== undefined && profit < minProfit) continue;
+
+          const { stakes, payout } = splitStakes(opp.legs.map(leg => leg.price), bankroll);
+          results.push({
+            ...opp,
+            bankroll,
+            legs: opp.legs.map((leg, i) => ({ ...leg, stake: round(stakes[i]) })),
+            payout: round(payout),
+            profit: round(payout - bankroll)
+          });
+        }
+      }
+    }
+
+    results.sort((a, b) => (b.profitPct ?? b.missProfitPct) - (a.profitPct ?? a.missProfitPct));
+
+    return {
+      lastUpdate: sport ? this.lastUpdate[sport] || null : this.lastUpdate,
+      count: results.length,
+      arbs: results.filter(r => r.type === 'arb').length,
+      middles: results.filter(r => r.type === 'middle').length,
+      opportunities: results
+    };
+  }
+}
+
+// Singleton instance
+const arbDetector = new ArbDetector();
+
+module.exports = arbDetector;
@@ -0,0 +1,235 @@
+// services/auth.js
+// API-key and JWT authentication with viewer/admin roles, plus per-client refresh rate limiting
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// "key:role:name,..." - role defaults to viewer, name to a short key fingerprint
+const API_KEYS = process.env.API_KEYS || '';
+// HS256 secret for JWTs carrying { sub, role }
+const JWT_SECRET = process.env.JWT_SECRET || '';
+// Role granted to requests without credentials: 'viewer' (public read access) or 'none'
+const AUTH_ANONYMOUS_ROLE = process.env.AUTH_ANONYMOUS_ROLE === 'none' ? null : 'viewer';
+const REFRESH_RATE_LIMIT = parseInt(process.env.REFRESH_RATE_LIMIT) || 3;
+const REFRESH_RATE_WINDOW_MINUTES = parseInt(process.env.REFRESH_RATE_WINDOW_MINUTES) || 10;
+// Comma-separated browser origins allowed by CORS and Socket.IO, '*' = any
+const CORS_ORIGINS = process.env.CORS_ORIGINS || '*';
+// Number of reverse proxies in front of the server (Render = 1), so client IPs are real
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY) || 0;
+
+// Ascending privilege - an admin can do everything a viewer can
+const ROLES = ['viewer', 'admin'];
+
+// Owners named by anonymous clients live under this prefix, apart from authenticated principals
+const ANONYMOUS_OWNER_PREFIX = 'anon:';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class Auth {
+  constructor() {
+    // Keys are looked up by hash so a lookup never compares raw secrets
+    this.keys = new Map(); // { sha256(key): { id, name, role } }
+
+    for (const entry of API_KEYS.split(',').map(e => e.trim()).filter(Boolean)) {
+      const [key, role = 'viewer', name] = entry.split(':');
+      if (!ROLES.includes(role)) {
+        console.warn(`[Auth] Ignoring API key with unknown role "${role}"`);
+        continue;
+      }
+      const hash = hashKey(key);
+      const keyName = name || `key-${hash.slice(0, 8)}`;
+      this.keys.set(hash, { id: `key:${keyName}`, name: keyName, role });
+    }
+
+    this.anonymous = AUTH_ANONYMOUS_ROLE
+      ? { id: null, name: 'anonymous', role: AUTH_ANONYMOUS_ROLE, method: 'anonymous' }
+      : null;
+
+    // Refresh requests per client in the current window: { clientId: [timestamps] }
+    this.refreshLog = {};
+
+    this.corsOrigin = CORS_ORIGINS === '*'
+      ? '*'
+      : CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean);
+    this.trustProxy = TRUST_PROXY;
+
+    if (this.keys.size === 0 && !JWT_SECRET) {
+      console.warn('[Auth] No API_KEYS or JWT_SECRET configured - admin operations are unavailable');
+    }
+  }
+
+  // ==================== AUTHENTICATION ====================
+
+  // Resolve a bearer token to { user } or { error }; no token means the anonymous role
+  authenticate(token) {
+    if (!token) {
+      return this.anonymous ? { user: this.anonymous } : { error: 'Authentication required' };
+    }
+
+    const key = this.keys.get(hashKey(token));
+    if (key) {
+      return { user: { ...key, method: 'apiKey' } };
+    }
+
+    if (JWT_SECRET && token.split('.').length === 3) {
+      try {
+        const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+        if (!payload.sub) return { error: 'Token has no subject' };
+        return {
+          user: {
+            id: String(payload.sub),
+            name: payload.name || String(payload.sub),
+            role: ROLES.includes(payload.role) ? payload.role : 'viewer',
+            method: 'jwt'
+          }
+        };
+      } catch (error) {
+        return { error: `Invalid token: ${error.message}` };
+      }
+    }
+
+    return { error: 'Invalid API key or token' };
+  }
+
+  hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  // `Authorization: Bearer <key|jwt>` or `X-API-Key: <key>`
+  tokenFromRequest(req) {
+    const header = req.get('authorization') || '';
+    if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+    return req.get('x-api-key') || null;
+  }
+
+  // Socket.IO clients pass `auth: { token }` (or an Authorization header from Node clients)
+  tokenFromHandshake(handshake) {
+    const { auth = {}, headers = {} } = handshake;
+    if (auth.token || auth.apiKey) return auth.token || auth.apiKey;
+    const header = headers.authorization || '';
+    if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+    return headers['x-api-key'] || null;
+  }
+
+  // ==================== MIDDLEWARE ====================
+
+  // Express: attach req.user, 401 for bad or missing (when anonymous access is off) credentials
+  middleware() {
+    return (req, res, next) => {
+      const { user, error } = this.authenticate(this.tokenFromRequest(req));
+      if (error) {
+        return res.status(401).json({ error });
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  requireRole(role) {
+    return (req, res, next) => {
+      if (this.hasRole(req.user, role)) return next();
+      if (req.user?.method === 'anonymous') {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      res.status(403).json({ error: `${role} role required` });
+    };
+  }
+
+  // Socket.IO: reject the handshake on bad credentials, otherwise attach socket.data.user
+  socketMiddleware() {
+    return (socket, next) => {
+      const { user, error } = this.authenticate(this.tokenFromHandshake(socket.handshake));
+      if (error) {
+        return next(new Error(error));
+      }
+      socket.data.user = user;
+      next();
+    };
+  }
+
+  // ==================== OWNERSHIP ====================
+
+  // Authenticated users act as themselves; admins name an owner. Anonymous clients name one too,
+  // but always inside the `anon:` namespace, so they can never pose as a key or JWT principal
+  ownerFor(user, owner) {
+    if (user.method === 'anonymous') return this.anonymousOwner(owner);
+    if (this.hasRole(user, 'admin')) return owner || user.id;
+    return user.id;
+  }
+
+  anonymousOwner(owner) {
+    if (typeof owner !== 'string') return undefined;
+    const name = owner.startsWith(ANONYMOUS_OWNER_PREFIX) ? owner.slice(ANONYMOUS_OWNER_PREFIX.length) : owner;
+    return name ? `${ANONYMOUS_OWNER_PREFIX}${name}` : undefined;
+  }
+
+  // Owner filter for listings - undefined lets admins see everyone's. Anonymous clients only see
+  // the anonymous owner they name (nothing without one)
+  ownerFilter(user, owner) {
+    if (user.method === 'anonymous') return this.anonymousOwner(owner) || ANONYMOUS_OWNER_PREFIX;
+    if (this.hasRole(user, 'admin')) return owner;
+    return user.id;
+  }
+
+  canActFor(user, owner) {
+    if (user.method === 'anonymous') return Boolean(owner) && owner === this.anonymousOwner(owner);
+    return this.hasRole(user, 'admin') || owner === user.id;
+  }
+
+  // ==================== RATE LIMITING ====================
+
+  // Stable client key for rate limiting - the user when known, the IP otherwise
+  clientId(user, address) {
+    return user?.id || `ip:${address}`;
+  }
+
+  // Client IP for a socket, honouring X-Forwarded-For behind trusted proxies
+  socketAddress(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (this.trustProxy && forwarded) {
+      const hops = forwarded.split(',').map(ip => ip.trim());
+      return hops[Math.max(0, hops.length - this.trustProxy)];
+    }
+    return socket.handshake.address;
+  }
+
+  // Record a refresh request; returns { allowed, remaining, retryAfterMs }
+  checkRefresh(clientId) {
+    const windowMs = REFRESH_RATE_WINDOW_MINUTES * 60 * 1000;
+    const now = Date.now();
+    const recent = (this.refreshLog[clientId] || []).filter(at => now - at < windowMs);
+
+    if (recent.length >= REFRESH_RATE_LIMIT) {
+      this.refreshLog[clientId] = recent;
+      return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - now };
+    }
+
+    recent.push(now);
+    this.refreshLog[clientId] = recent;
+    return { allowed: true, remaining: REFRESH_RATE_LIMIT - recent.length, retryAfterMs: 0 };
+  }
+
+  // Drop clients whose whole window has expired
+  pruneRefreshLog() {
+    const windowMs = REFRESH_RATE_WINDOW_MINUTES * 60 * 1000;
+    const now = Date.now();
+    for (const [clientId, timestamps] of Object.entries(this.refreshLog)) {
+      if (timestamps.every(at => now - at >= windowMs)) delete this.refreshLog[clientId];
+    }
+  }
+
+  getStatus() {
+    return {
+      apiKeys: this.keys.size,
+      jwt: Boolean(JWT_SECRET),
+      anonymousRole: AUTH_ANONYMOUS_ROLE,
+      corsOrigins: this.corsOrigin,
+      refreshLimit: { requests: REFRESH_RATE_LIMIT, windowMinutes: REFRESH_RATE_WINDOW_MINUTES }
+    };
+  }
+}
+
+// Singleton instance
+const auth = new Auth();
+
+module.exports = auth;
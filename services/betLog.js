@@ -0,0 +1,253 @@
+// services/betLog.js
+// Logged bets graded for closing-line value (CLV) against the closing no-vig price
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sportRegistry = require('./sportRegistry');
+const oddsCache = require('./oddsCache');
+const closingLines = require('./closingLines');
+const { toDecimalPrice } = require('./devig');
+const { OUTCOME_KEYS } = require('./markets');
+
+// Bets (and the closing lines they are graded against) live in their own file, apart from the
+// disposable odds cache snapshot
+const BETS_PATH = process.env.BETS_PATH || path.join(__dirname, '..', 'data', 'bets.json');
+// Sharp book whose closing no-vig price grades every bet (the bet's own book is the fallback)
+const CLV_REFERENCE_BOOKMAKER = process.env.CLV_REFERENCE_BOOKMAKER || process.env.EV_REFERENCE_BOOKMAKER || 'Pinnacle';
+
+const SAVE_DELAY_MS = 1000;
+const REPORT_GROUPS = ['owner', 'bookmaker'];
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class BetLog {
+  constructor() {
+    this.path = BETS_PATH;
+    this.reference = CLV_REFERENCE_BOOKMAKER;
+    this.bets = {}; // { betId: bet }
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+    this.lastError = null;
+  }
+
+  // ==================== BETS ====================
+
+  // Returns an error message for an invalid bet, or null
+  validate(input) {
+    if (!input || typeof input !== 'object') return 'Bet body is required';
+    if (!input.owner || typeof input.owner !== 'string') return 'owner is required';
+    if (!sportRegistry.has(input.sport)) return `sport must be one of: ${sportRegistry.keys().join(', ')}`;
+    if (input.eventId === undefined || input.eventId === null || input.eventId === '') return 'eventId is required';
+    if (!input.market || typeof input.market !== 'string') return 'market is required (e.g. ML, Spread, Totals)';
+    if (!OUTCOME_KEYS.includes(input.outcome)) return `outcome must be one of: ${OUTCOME_KEYS.join(', ')}`;
+    if (!input.bookmaker || typeof input.bookmaker !== 'string') return 'bookmaker is required';
+    if (!toDecimalPrice(input.price)) return 'price must be a decimal price above 1';
+    if (!Number.isFinite(input.stake) || input.stake <= 0) return 'stake must be a positive number';
+    if (input.hdp !== undefined && input.hdp !== null && !Number.isFinite(Number(input.hdp))) return 'hdp must be a number';
+    if (input.placedAt !== undefined && !Number.isFinite(Date.parse(input.placedAt))) return 'placedAt must be an ISO date';
+    return null;
+  }
+
+  // Event details come from the odds cache, or the closing capture once the event is gone
+  createBet(input) {
+    const event = oddsCache.getOdds(input.sport, input.eventId) || closingLines.get(input.sport, input.eventId) || {};
+    const bet = {
+      id: crypto.randomUUID(),
+      owner: input.owner,
+      sport: input.sport,
+      eventId: String(input.eventId),
+      home: event.home ?? null,
+      away: event.away ?? null,
+      date: event.date ?? null,
+      market: input.market,
+      hdp: input.hdp === undefined || input.hdp === null ? null : Number(input.hdp),
+      label: input.label ?? null,
+      outcome: input.outcome,
+      bookmaker: input.bookmaker,
+      price: toDecimalPrice(input.price),
+      stake: input.stake,
+      placedAt: input.placedAt ? new Date(input.placedAt) : new Date(),
+      status: 'open',
+      closing: null,
+      clvPct: null,
+      gradedAt: null
+    };
+
+    this.bets[bet.id] = bet;
+    this.grade(bet);
+    this.scheduleSave();
+    console.log(`[Bets] ${bet.owner} logged ${bet.sport} ${bet.eventId} ${bet.market} ${bet.outcome} @ ${bet.price} (${bet.bookmaker})`);
+    return bet;
+  }
+
+  deleteBet(id) {
+    if (!this.bets[id]) return false;
+    delete this.bets[id];
+    this.scheduleSave();
+    return true;
+  }
+
+  getBet(id) {
+    return this.bets[id] || null;
+  }
+
+  // Newest first. Filters: owner, sport, bookmaker, status
+  getBets({ owner, sport, bookmaker, status } = {}) {
+    return Object.values(this.bets)
+      .filter(bet => !owner || bet.owner === owner)
+      .filter(bet => !sport || bet.sport === sport)
+      .filter(bet => !bookmaker || bet.bookmaker === bookmaker)
+      .filter(bet => !status || bet.status === status)
+      .sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+  }
+
+  // ==================== GRADING ====================
+
+  // CLV% = price / closing no-vig price - 1. Stays open until the event's lines close;
+  // closed events without a matching line are marked `no_closing_line`
+  grade(bet) {
+    const closing = closingLines.get(bet.sport, bet.eventId);
+    if (!closing?.closedAt) return false;
+
+    for (const bookmaker of [...new Set([this.reference, bet.bookmaker])]) {
+      const line = closingLines.findLine(bet.sport, bet.eventId, bookmaker, bet);
+      const fairProbability = line?.fair?.[bet.outcome];
+      if (!fairProbability) continue;
+
+      bet.closing = {
+        bookmaker,
+        price: line.prices[bet.outcome],
+        fairProbability: round(fairProbability, 4),
+        fairPrice: round(1 / fairProbability, 3),
+        capturedAt: closing.bookmakers[bookmaker].capturedAt
+      };
+      bet.clvPct = round((bet.price * fairProbability - 1) * 100);
+      bet.status = 'graded';
+      bet.gradedAt = new Date();
+      return true;
+    }
+
+    bet.status = 'no_closing_line';
+    bet.gradedAt = new Date();
+    return true;
+  }
+
+  // Grade the open bets of events whose lines just closed. Returns the graded bets
+  gradeEvents(closedEvents) {
+    const graded = [];
+    for (const { sport, eventId } of closedEvents) {
+      for (const bet of Object.values(this.bets)) {
+        if (bet.status === 'open' && bet.sport === sport && bet.eventId === String(eventId) && this.grade(bet)) {
+          graded.push(bet);
+        }
+      }
+    }
+    if (graded.length > 0) this.scheduleSave();
+    return graded;
+  }
+
+  // ==================== REPORTS ====================
+
+  // Returns an error message for invalid report options, or null
+  validateReport({ groupBy }) {
+    if (!REPORT_GROUPS.includes(groupBy)) return `by must be one of: ${REPORT_GROUPS.join(', ')}`;
+    return null;
+  }
+
+  // Aggregate CLV per owner or bookmaker
+  report({ groupBy = 'owner', owner, sport } = {}) {
+    const groups = {};
+    for (const bet of this.getBets({ owner, sport })) {
+      const key = bet[groupBy];
+      if (!groups[key]) groups[key] = { [groupBy]: key, bets: [], graded: [] };
+      groups[key].bets.push(bet);
+      if (bet.status === 'graded') groups[key].graded.push(bet);
+    }
+
+    return Object.values(groups)
+      .map(({ bets, graded, ...group }) => {
+        const gradedStake = graded.reduce((sum, bet) => sum + bet.stake, 0);
+        return {
+          ...group,
+          bets: bets.length,
+          open: bets.filter(bet => bet.status === 'open').length,
+          graded: graded.length,
+          stake: round(bets.reduce((sum, bet) => sum + bet.stake, 0)),
+          avgClvPct: graded.length > 0 ? round(graded.reduce((sum, bet) => sum + bet.clvPct, 0) / graded.length) : null,
+          // Stake-weighted, so big bets count for more
+          weightedClvPct: gradedStake > 0 ? round(graded.reduce((sum, bet) => sum + bet.clvPct * bet.stake, 0) / gradedStake) : null,
+          beatClosingPct: graded.length > 0 ? round(graded.filter(bet => bet.clvPct > 0).length / graded.length * 100) : null
+        };
+      })
+      .sort((a, b) => b.bets - a.bets);
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  // Synchronously load bets and closing lines saved by a previous run
+  load() {
+    if (!fs.existsSync(this.path)) return false;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this.bets = saved.bets || {};
+      closingLines.restoreSnapshot(saved.closingLines);
+      console.log(`[Bets] Restored ${Object.keys(this.bets).length} bets from ${this.path}`);
+      return true;
+    } catch (error) {
+      console.error(`[Bets] Failed to load ${this.path}: ${error.message}`);
+      this.lastError = { time: new Date(), message: error.message };
+      return false;
+    }
+  }
+
+  // Saves run one after another, so two never share the temp file and an older write never lands last
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.saving = this.saving.then(() => this.write());
+    return this.saving;
+  }
+
+  // Write to a temp file and rename it, so a crash never leaves half a file
+  async write() {
+    try {
+      const tmpPath = `${this.path}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify({
+        savedAt: new Date(),
+        bets: this.bets,
+        closingLines: closingLines.toSnapshot()
+      }));
+      await fs.promises.rename(tmpPath, this.path);
+    } catch (error) {
+      console.error(`[Bets] Failed to save: ${error.message}`);
+      this.lastError = { time: new Date(), message: error.message };
+    }
+  }
+
+  // Coalesce bursts of changes into one write
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  getStatus() {
+    const bets = Object.values(this.bets);
+    return {
+      path: this.path,
+      reference: this.reference,
+      bets: bets.length,
+      open: bets.filter(bet => bet.status === 'open').length,
+      graded: bets.filter(bet => bet.status === 'graded').length,
+      closingLines: closingLines.getStatus(),
+      lastError: this.lastError
+    };
+  }
+}
+
+// Singleton instance
+const betLog = new BetLog();
+
+module.exports = betLog;
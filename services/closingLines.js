@@ -0,0 +1,123 @@
+// services/closingLines.js
+// Closing-line capture - the last pre-kickoff prices per event and bookmaker, with no-vig probabilities
+
+const { devig } = require('./devig');
+const { extractLines, threeWayMarkets, isCompleteLine } = require('./markets');
+const evCalculator = require('./evCalculator');
+
+// Only fetches this close to kickoff are kept as closing candidates
+const CLOSING_WINDOW_MINUTES = parseInt(process.env.CLOSING_WINDOW_MINUTES) || 180;
+// Closed lines are kept this long after kickoff for grading late-logged bets
+const CLOSING_RETENTION_DAYS = parseInt(process.env.CLOSING_RETENTION_DAYS) || 14;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class ClosingLines {
+  constructor() {
+    // { sport: { eventId: { sport, eventId, league, home, away, date, closedAt, bookmakers } } }
+    // bookmakers: { bookmaker: { capturedAt, lines: { lineKey: { market, hdp, label, prices, fair } } } }
+    this.events = {};
+  }
+
+  // Keep the latest pre-kickoff lines of every bookmaker that answered. Near kickoff the
+  // scheduler refetches every couple of minutes, so the last capture is the closing line
+  record(sport, eventId, eventOdds, { league } = {}, now = Date.now()) {
+    const startsAt = new Date(eventOdds?.date).getTime();
+    if (!Number.isFinite(startsAt) || eventOdds.live) return;
+    if (now >= startsAt || startsAt - now > CLOSING_WINDOW_MINUTES * MINUTE_MS) return;
+
+    if (!this.events[sport]) this.events[sport] = {};
+    const entry = this.events[sport][eventId] ||= { sport, eventId: String(eventId), closedAt: null, bookmakers: {} };
+    Object.assign(entry, { league: league || entry.league || null, home: eventOdds.home, away: eventOdds.away, date: eventOdds.date });
+
+    const linesByBookmaker = {};
+    for (const [bookmaker, markets] of Object.entries(eventOdds.bookmakers || {})) {
+      linesByBookmaker[bookmaker] = extractLines(markets);
+    }
+    const threeWay = threeWayMarkets(linesByBookmaker);
+
+    for (const [bookmaker, lines] of Object.entries(linesByBookmaker)) {
+      // Failed refetches keep older prices (flagged stale) - the previous capture is as good
+      if (eventOdds.bookmakerStatus?.[bookmaker]?.stale) continue;
+
+      for (const line of Object.values(lines)) {
+        // A two-way quote of a three-way market would de-vig to inflated fair probabilities,
+        // so it keeps its closing prices but grades nothing
+        const outcomes = Object.keys(line.prices);
+        const fair = isCompleteLine(line.market, line.prices, threeWay)
+          ? devig(outcomes.map(o => line.prices[o]), evCalculator.method)
+          : null;
+        line.fair = fair ? Object.fromEntries(outcomes.map((o, i) => [o, fair[i]])) : null;
+      }
+      entry.bookmakers[bookmaker] = { capturedAt: eventOdds.cachedAt, lines };
+    }
+  }
+
+  // Freeze the captures of events that kicked off. Returns the newly closed events
+  closeStarted(now = Date.now()) {
+    const closed = [];
+    for (const events of Object.values(this.events)) {
+      for (const entry of Object.values(events)) {
+        if (entry.closedAt || new Date(entry.date).getTime() > now) continue;
+        entry.closedAt = new Date(now);
+        closed.push(entry);
+      }
+    }
+
+    if (closed.length > 0) {
+      console.log(`[Closing] Captured closing lines for ${closed.length} events`);
+    }
+    return closed;
+  }
+
+  // Drop lines of events that started more than the retention period ago
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const events of Object.values(this.events)) {
+      for (const [eventId, entry] of Object.entries(events)) {
+        if (now - new Date(entry.date).getTime() > CLOSING_RETENTION_DAYS * DAY_MS) {
+          delete events[eventId];
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  get(sport, eventId) {
+    return this.events[sport]?.[eventId] || null;
+  }
+
+  // A bookmaker's closing line matching market (case-insensitive), hdp and label
+  findLine(sport, eventId, bookmaker, { market, hdp = null, label = null }) {
+    const lines = this.get(sport, eventId)?.bookmakers[bookmaker]?.lines || {};
+    return Object.values(lines).find(line =>
+      line.market.toLowerCase() === String(market).toLowerCase() &&
+      (line.hdp == null ? hdp == null : Number(line.hdp) === Number(hdp)) &&
+      String(line.label ?? '').toLowerCase() === String(label ?? '').toLowerCase()) || null;
+  }
+
+  toSnapshot() {
+    return this.events;
+  }
+
+  restoreSnapshot(events = {}) {
+    this.events = events;
+  }
+
+  getStatus() {
+    const entries = Object.values(this.events).flatMap(events => Object.values(events));
+    return {
+      windowMinutes: CLOSING_WINDOW_MINUTES,
+      retentionDays: CLOSING_RETENTION_DAYS,
+      events: entries.length,
+      closed: entries.filter(entry => entry.closedAt).length
+    };
+  }
+}
+
+// Singleton instance
+const closingLines = new ClosingLines();
+
+module.exports = closingLines;
@@ -0,0 +1,116 @@
+// services/consensus.js
+// Best price, average, median and no-vig consensus per market line across bookmakers
+
+const { devig, expectedValue } = require('./devig');
+
+const round = (value, decimals = 4) =>
+  value == null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Group a normalized eventOdds by canonical market key: { key: { market, quotes: { bookmaker: { side: price } } } }
+const groupMarkets = (normalizedOdds) => {
+  const groups = {};
+  for (const [bookmaker, markets] of Object.entries(normalizedOdds?.bookmakers || {})) {
+    for (const market of markets) {
+      if (!groups[market.key]) groups[market.key] = { market, quotes: {} };
+      groups[market.key].quotes[bookmaker] = Object.fromEntries(market.outcomes.map(o => [o.side, o.price]));
+    }
+  }
+  return groups;
+};
+
+// Consensus for one market line. Only books pricing every side feed the no-vig consensus,
+// since de-vigging a partial set (e.g. 2 of 3 1X2 outcomes) would inflate it
+const buildMarket = ({ market, quotes }, method) => {
+  const sides = [...new Set(Object.values(quotes).flatMap(q => Object.keys(q)))];
+
+  const fairByBook = {};
+  for (const [bookmaker, prices] of Object.entries(quotes)) {
+    if (sides.length < 2 || !sides.every(side => prices[side])) continue;
+    const fair = devig(sides.map(side => prices[side]), method);
+    if (fair) fairByBook[bookmaker] = Object.fromEntries(sides.map((side, i) => [side, fair[i]]));
+  }
+
+  // Average the books' fair probabilities and re-normalize so they sum to 1
+  const consensusBooks = Object.keys(fairByBook);
+  let consensus = null;
+  if (consensusBooks.length > 0) {
+    const averages = sides.map(side => consensusBooks.reduce((sum, b) => sum + fairByBook[b][side], 0) / consensusBooks.length);
+    const total = averages.reduce((sum, p) => sum + p, 0);
+    consensus = Object.fromEntries(sides.map((side, i) => [side, averages[i] / total]));
+  }
+
+  const outcomes = sides.map(side => {
+    const books = Object.entries(quotes)
+      .filter(([, prices]) => prices[side])
+      .map(([bookmaker, prices]) => ({ bookmaker, price: prices[side] }))
+      .sort((a, b) => b.price - a.price);
+    const prices = books.map(b => b.price);
+    const bestPrice = prices[0];
+    const consensusProbability = consensus ? consensus[side] : null;
+
+    return {
+      side,
+      best: { price: bestPrice, bookmakers: books.filter(b => b.price === bestPrice).map(b => b.bookmaker) },
+      average: round(prices.reduce((sum, p) => sum + p, 0) / prices.length, 3),
+      median: round(median(prices), 3),
+      consensusProbability: round(consensusProbability),
+      consensusPrice: consensusProbability ? round(1 / consensusProbability, 3) : null,
+      // How far each book sits from consensus: its own no-vig probability and the EV of its price
+      books: books.map(({ bookmaker, price }) => ({
+        bookmaker,
+        price,
+        impliedProbability: round(1 / price),
+        fairProbability: round(fairByBook[bookmaker]?.[side] ?? null),
+        probabilityDiff: consensusProbability && fairByBook[bookmaker]
+          ? round((fairByBook[bookmaker][side] - consensusProbability) * 100, 2)
+          : null,
+        ev: consensusProbability ? round(expectedValue(price, consensusProbability), 2) : null
+      }))
+    };
+  });
+
+  return {
+    key: market.key,
+    type: market.type,
+    period: market.period,
+    line: market.line,
+    player: market.player,
+    stat: market.stat,
+    market: market.market,
+    label: market.label,
+    bookmakerCount: Object.keys(quotes).length,
+    consensusBooks: consensusBooks.length,
+    outcomes
+  };
+};
+
+// Best prices and consensus for every market of one normalized event.
+// Filters: type (canonical market type), player (case-insensitive contains)
+const buildEventConsensus = (eventId, normalizedOdds, { method = 'multiplicative', type, player } = {}) => {
+  const markets = Object.values(groupMarkets(normalizedOdds))
+    .filter(({ market }) => !type || market.type === type)
+    .filter(({ market }) => !player || market.player?.toLowerCase().includes(player.toLowerCase()))
+    .map(group => buildMarket(group, method));
+
+  return {
+    eventId,
+    home: normalizedOdds.home,
+    away: normalizedOdds.away,
+    date: normalizedOdds.date,
+    cachedAt: normalizedOdds.cachedAt,
+    method,
+    bookmakerCount: Object.keys(normalizedOdds.bookmakers || {}).length,
+    marketCount: markets.length,
+    markets
+  };
+};
+
+module.exports = {
+  buildEventConsensus
+};
@@ -0,0 +1,94 @@
+// services/devig.js
+// Vig removal helpers - turn a bookmaker's prices into fair (no-vig) probabilities
+
+const DEVIG_METHODS = ['multiplicative', 'power', 'shin'];
+
+// Parse a provider price (often a string like "1.85") into a usable decimal price
+const toDecimalPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price > 1 ? price : null;
+};
+
+// Raw implied probabilities (still including the margin)
+const impliedProbabilities = (prices) => prices.map(price => 1 / price);
+
+// Find x in [lo, hi] where fn(x) = 0, assuming fn is monotonic on the interval
+const bisect = (fn, lo, hi, iterations = 100) => {
+  let fLo = fn(lo);
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = fn(mid);
+    if (Math.abs(fMid) < 1e-12) return mid;
+    if ((fMid > 0) === (fLo > 0)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+// Scale every implied probability by the same factor
+const devigMultiplicative = (prices) => {
+  const implied = impliedProbabilities(prices);
+  const total = implied.reduce((sum, p) => sum + p, 0);
+  return implied.map(p => p / total);
+};
+
+// Raise implied probabilities to a common power k so they sum to 1
+// (shifts more of the margin onto longshots than the multiplicative method)
+const devigPower = (prices) => {
+  const implied = impliedProbabilities(prices);
+  const total = implied.reduce((sum, p) => sum + p, 0);
+  if (total <= 1) return implied.map(p => p / total);
+
+  const k = bisect(k => implied.reduce((sum, p) => sum + Math.pow(p, k), 0) - 1, 1, 50);
+  return implied.map(p => Math.pow(p, k));
+};
+
+// Shin's model - assumes part of the margin protects against insider money
+const devigShin = (prices) => {
+  const implied = impliedProbabilities(prices);
+  const total = implied.reduce((sum, p) => sum + p, 0);
+  if (total <= 1) return implied.map(p => p / total);
+
+  const shinProbs = (z) => implied.map(p =>
+    (Math.sqrt(z * z + 4 * (1 - z) * (p * p) / total) - z) / (2 * (1 - z))
+  );
+  const z = bisect(z => shinProbs(z).reduce((sum, p) => sum + p, 0) - 1, 0, 0.99);
+  const probs = shinProbs(z);
+  const sum = probs.reduce((s, p) => s + p, 0);
+  return probs.map(p => p / sum);
+};
+
+// Fair probabilities for a complete set of outcome prices
+const devig = (prices, method = 'multiplicative') => {
+  if (!Array.isArray(prices) || prices.length < 2) return null;
+  if (prices.some(price => !Number.isFinite(price) || price <= 1)) return null;
+
+  switch (method) {
+    case 'power':
+      return devigPower(prices);
+    case 'shin':
+      return devigShin(prices);
+    case 'multiplicative':
+      return devigMultiplicative(prices);
+    default:
+      throw new Error(`Unknown de-vig method: ${method}`);
+  }
+};
+
+// Expected value (in %) of backing `price` when the true probability is `fairProbability`
+const expectedValue = (price, fairProbability) => (price * fairProbability - 1) * 100;
+
+module.exports = {
+  DEVIG_METHODS,
+  toDecimalPrice,
+  impliedProbabilities,
+  devig,
+  devigMultiplicative,
+  devigPower,
+  devigShin,
+  expectedValue
+};
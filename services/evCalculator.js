@@ -0,0 +1,136 @@
+// services/evCalculator.js
+// Expected value engine - de-vigs a sharp reference book and scores every other bookmaker against it
+
+const { DEVIG_METHODS, devig, expectedValue } = require('./devig');
+const { extractLines, threeWayMarkets, isCompleteLine } = require('./markets');
+
+const EV_REFERENCE_BOOKMAKER = process.env.EV_REFERENCE_BOOKMAKER || 'Pinnacle';
+const EV_DEVIG_METHOD = DEVIG_METHODS.includes(process.env.EV_DEVIG_METHOD)
+  ? process.env.EV_DEVIG_METHOD
+  : 'multiplicative';
+
+class EvCalculator {
+  constructor() {
+    this.reference = EV_REFERENCE_BOOKMAKER;
+    this.method = EV_DEVIG_METHOD;
+
+    // { sport: { eventId: evResult } }
+    this.results = {};
+    this.lastUpdate = {};
+  }
+
+  // Recompute EV for a single event from its cached odds
+  computeEvent(sport, eventId, eventOdds) {
+    if (!this.results[sport]) this.results[sport] = {};
+
+    const referenceMarkets = eventOdds?.bookmakers?.[this.reference];
+    if (!referenceMarkets) {
+      delete this.results[sport][eventId];
+      return null;
+    }
+
+    const linesByBookmaker = {};
+    for (const [bookmaker, markets] of Object.entries(eventOdds.bookmakers)) {
+      linesByBookmaker[bookmaker] = extractLines(markets);
+    }
+    const referenceLines = linesByBookmaker[this.reference];
+    const threeWay = threeWayMarkets(linesByBookmaker);
+    const opportunities = [];
+
+    // Fair probabilities for each complete reference line
+    const fairLines = {};
+    for (const [key, line] of Object.entries(referenceLines)) {
+      if (!isCompleteLine(line.market, line.prices, threeWay)) continue;
+      const outcomes = Object.keys(line.prices);
+      const fair = devig(outcomes.map(o => line.prices[o]), this.method);
+      if (!fair) continue;
+      fairLines[key] = Object.fromEntries(outcomes.map((o, i) => [o, fair[i]]));
+    }
+
+    for (const [bookmaker, lines] of Object.entries(linesByBookmaker)) {
+      if (bookmaker === this.reference) continue;
+
+      for (const [key, line] of Object.entries(lines)) {
+        const fair = fairLines[key];
+        if (!fair) continue;
+
+        for (const [outcome, price] of Object.entries(line.prices)) {
+          const fairProbability = fair[outcome];
+          if (fairProbability === undefined) continue;
+
+          opportunities.push({
+            bookmaker,
+            market: line.market,
+            hdp: line.hdp,
+            label: line.label,
+            outcome,
+            price,
+            referencePrice: referenceLines[key].prices[outcome],
+            fairProbability,
+            fairPrice: 1 / fairProbability,
+            ev: expectedValue(price, fairProbability)
+          });
+        }
+      }
+    }
+
+    opportunities.sort((a, b) => b.ev - a.ev);
+
+    const result = {
+      eventId,
+      home: eventOdds.home,
+      away: eventOdds.away,
+      date: eventOdds.date,
+      reference: this.reference,
+      method: this.method,
+      computedAt: new Date(),
+      opportunities
+    };
+
+    this.results[sport][eventId] = result;
+    this.lastUpdate[sport] = result.computedAt;
+    return result;
+  }
+
+  // Drop results for an evicted event
+  forget(sport, eventId) {
+    delete this.results[sport]?.[eventId];
+  }
+
+  // Flattened list of priced outcomes across events, best EV first
+  getEv(sport, { minEv, eventId, bookmaker } = {}) {
+    const events = this.results[sport] || {};
+    const selected = eventId ? [events[eventId]].filter(Boolean) : Object.values(events);
+
+    const opportunities = [];
+    for (const event of selected) {
+      for (const opp of event.opportunities) {
+        if (minEv !== undefined && opp.ev < minEv) continue;
+        if (bookmaker && opp.bookmaker !== bookmaker) continue;
+        opportunities.push({
+          eventId: event.eventId,
+          home: event.home,
+          away: event.away,
+          date: event.date,
+          ...opp
+        });
+      }
+    }
+
+    opportunities.sort((a, b) => b.ev - a.ev);
+
+    return {
+      reference: this.reference,
+      method: this.method,
+      lastUpdate: this.lastUpdate[sport] || null,
+      eventCount: selected.length,
+      count: opportunities.length,
+      opportunities
+    };
+  }
+}
+
+// Singleton instance
+const evCalculator = new EvCalculator();
+
+module.exports = evCalculator;
@@ -0,0 +1,176 @@
+// services/eventStream.js
+// Server-Sent Events feed - the public broadcast events for clients that can't speak Socket.IO,
+// with heartbeats and Last-Event-ID resume from a bounded replay buffer
+
+const sportRegistry = require('./sportRegistry');
+
+// Events kept for Last-Event-ID resume, bounded by count and by serialized size
+const SSE_BUFFER_SIZE = parseInt(process.env.SSE_BUFFER_SIZE) || 1000;
+const SSE_BUFFER_MAX_MB = parseInt(process.env.SSE_BUFFER_MAX_MB) || 50;
+const SSE_HEARTBEAT_SECONDS = parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 15;
+// Clients that let this much output pile up unread are dropped
+const SSE_MAX_PENDING_MB = 16;
+// Reconnect delay suggested to EventSource clients
+const SSE_RETRY_MS = 5000;
+
+const MB = 1024 * 1024;
+
+// Events carried by the stream, plus `<sport>Update` per registered sport
+const STREAM_EVENTS = [
+  'oddsUpdate', 'oddsDelta',
+  ...sportRegistry.keys().map(sport => `${sport}Update`),
+  'refreshStart', 'refreshComplete', 'refreshJob', 'refreshProgress', 'scheduledRefresh', 'status',
+  'arbFound', 'arbGone', 'oddsStale', 'eventsEvicted', 'liveUpdate', 'liveEvents', 'sportConfig'
+];
+
+const splitList = (value) => value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null;
+
+class EventStream {
+  constructor() {
+    // Ids restart on every boot, so they carry the boot epoch: `<epoch>-<seq>`
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = []; // { seq, event, sport, eventId, frame }, oldest first
+    this.bufferBytes = 0;
+    this.clients = new Set();
+    this.heartbeatTimer = null;
+  }
+
+  // ==================== CLIENTS ====================
+
+  // Parse ?sports=&eventIds=&events= into { filter } or { error }. Missing lists mean everything
+  parseFilter(query) {
+    const filter = {
+      sports: splitList(query.sports || query.sport),
+      eventIds: splitList(query.eventIds || query.eventId),
+      events: splitList(query.events)
+    };
+
+    const unknownSports = (filter.sports || []).filter(sport => !sportRegistry.has(sport));
+    if (unknownSports.length > 0) {
+      return { error: `Unknown sports: ${unknownSports.join(', ')} (valid: ${sportRegistry.keys().join(', ')})` };
+    }
+    const unknownEvents = (filter.events || []).filter(event => !STREAM_EVENTS.includes(event));
+    if (unknownEvents.length > 0) {
+      return { error: `Unknown events: ${unknownEvents.join(', ')} (valid: ${STREAM_EVENTS.join(', ')})` };
+    }
+    return { filter };
+  }
+
+  // Events without a sport (e.g. `status`) or an event id go to every client of the stream
+  matches(filter, entry) {
+    if (filter.events && !filter.events.includes(entry.event)) return false;
+    if (filter.sports && entry.sport && entry.sport !== 'all' && !filter.sports.includes(entry.sport)) return false;
+    if (filter.eventIds && entry.eventId && !filter.eventIds.includes(entry.eventId)) return false;
+    return true;
+  }
+
+  // Start streaming to an HTTP response. `lastEventId` replays the buffered events after it
+  connect(req, res, filter, lastEventId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop reverse proxies (nginx, Render) from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    const client = { res, filter, user: req.user?.name, connectedAt: new Date() };
+    this.clients.add(client);
+    req.on('close', () => {
+      this.clients.delete(client);
+      console.log(`[SSE] Client disconnected (${this.clients.size} remaining)`);
+    });
+
+    if (lastEventId) this.replay(client, lastEventId);
+    console.log(`[SSE] Client connected as ${client.user} (${this.clients.size} total)`);
+    return client;
+  }
+
+  // Resend what a reconnecting client missed, or tell it to refetch when the gap is gone
+  replay(client, lastEventId) {
+    const [epoch, seq] = String(lastEventId).split('-');
+    const after = parseInt(seq);
+    const oldest = this.buffer[0]?.seq ?? this.seq + 1;
+
+    if (epoch !== this.epoch || !Number.isInteger(after) || after > this.seq || after < oldest - 1) {
+      this.write(client, `event: streamReset\ndata: ${JSON.stringify({
+        reason: epoch !== this.epoch ? 'restarted' : 'expired',
+        lastEventId,
+        timestamp: new Date()
+      })}\n\n`);
+      return;
+    }
+
+    for (const entry of this.buffer) {
+      if (entry.seq > after && this.matches(client.filter, entry)) this.write(client, entry.frame);
+    }
+  }
+
+  write(client, chunk) {
+    if (client.res.destroyed) return;
+    client.res.write(chunk);
+    // Slow consumers would otherwise hold every unsent event in memory
+    if (client.res.writableLength > SSE_MAX_PENDING_MB * MB) {
+      console.warn(`[SSE] Dropping slow client ${client.user}`);
+      client.res.destroy();
+      this.clients.delete(client);
+    }
+  }
+
+  // ==================== PUBLISHING ====================
+
+  // Buffer an event and send it to every client whose filter matches
+  publish(event, data) {
+    const seq = ++this.seq;
+    const entry = {
+      seq,
+      event,
+      sport: data?.sport || data?.type || null,
+      eventId: data?.eventId !== undefined ? String(data.eventId) : null,
+      frame: `id: ${this.epoch}-${seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+    };
+
+    this.buffer.push(entry);
+    this.bufferBytes += entry.frame.length;
+    while (this.buffer.length > SSE_BUFFER_SIZE || (this.bufferBytes > SSE_BUFFER_MAX_MB * MB && this.buffer.length > 1)) {
+      this.bufferBytes -= this.buffer.shift().frame.length;
+    }
+
+    for (const client of this.clients) {
+      if (this.matches(client.filter, entry)) this.write(client, entry.frame);
+    }
+  }
+
+  // Comment lines keep idle connections open through proxies
+  start() {
+    this.stop();
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients) this.write(client, `: heartbeat ${Date.now()}\n\n`);
+    }, SSE_HEARTBEAT_SECONDS * 1000);
+  }
+
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.seq > 0 ? `${this.epoch}-${this.seq}` : null,
+      buffered: this.buffer.length,
+      bufferedMB: Math.round(this.bufferBytes / MB * 100) / 100,
+      oldestEventId: this.buffer.length > 0 ? `${this.epoch}-${this.buffer[0].seq}` : null,
+      heartbeatSeconds: SSE_HEARTBEAT_SECONDS
+    };
+  }
+}
+
+// Singleton instance
+const eventStream = new EventStream();
+
+module.exports = eventStream;
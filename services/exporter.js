@@ -0,0 +1,140 @@
+// services/exporter.js
+// Flat CSV / NDJSON exports - one row per event, bookmaker, market and outcome (or per recorded
+// price change), written to the response as they are produced
+
+const { extractLines } = require('./markets');
+const { matchesMarket } = require('./listQuery');
+const oddsHistory = require('./oddsHistory');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_TYPES = ['odds', 'history'];
+
+// Column order of the CSV header (and key order of NDJSON rows)
+const COLUMNS = {
+  odds: ['sport', 'league', 'eventId', 'home', 'away', 'date', 'bookmaker', 'market', 'hdp', 'label',
+    'outcome', 'price', 'fetchedAt', 'stale', 'cachedAt'],
+  history: ['sport', 'league', 'eventId', 'home', 'away', 'date', 'bookmaker', 'market', 'hdp', 'label',
+    'outcome', 'price', 'at', 'isOpening']
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+// Quote fields containing separators, quotes or line breaks (RFC 4180)
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatRow = (format, columns, row) => format === 'csv'
+  ? columns.map(column => csvValue(row[column])).join(',') + '\r\n'
+  : JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null]))) + '\n';
+
+// ?fields= picks and orders the columns; returns { columns } or { error }
+const exportColumns = (type, fields) => {
+  if (!fields) return { columns: COLUMNS[type] };
+  const unknown = fields.filter(field => !COLUMNS[type].includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')} (valid: ${COLUMNS[type].join(', ')})` };
+  }
+  return { columns: fields };
+};
+
+// Current cached prices of the given events ({ id, league, ...eventOdds })
+function* oddsRows(sport, events, options) {
+  for (const event of events) {
+    const base = { sport, league: event.league, eventId: event.id, home: event.home, away: event.away, date: toIso(event.date) };
+    for (const [bookmaker, markets] of Object.entries(event.bookmakers || {})) {
+      if (options.bookmakers && !options.bookmakers.includes(bookmaker)) continue;
+      const status = event.bookmakerStatus?.[bookmaker];
+      const kept = (markets || []).filter(market => matchesMarket(options, market));
+      for (const line of Object.values(extractLines(kept))) {
+        for (const [outcome, price] of Object.entries(line.prices)) {
+          yield {
+            ...base,
+            bookmaker,
+            market: line.market,
+            hdp: line.hdp,
+            label: line.label,
+            outcome,
+            price,
+            fetchedAt: toIso(status?.fetchedAt || event.cachedAt),
+            stale: Boolean(status?.stale),
+            cachedAt: toIso(event.cachedAt)
+          };
+        }
+      }
+    }
+  }
+}
+
+// Recorded price changes of the given events ({ id, league, home, away, date }). Each event's
+// series are only looked up when its rows are reached
+function* historyRows(sport, events, options) {
+  for (const event of events) {
+    const base = { sport, league: event.league, eventId: event.id, home: event.home, away: event.away, date: toIso(event.date) };
+    for (const series of oddsHistory.getSeries(sport, event.id)?.series || []) {
+      if (options.bookmakers && !options.bookmakers.includes(series.bookmaker)) continue;
+      if (!matchesMarket(options, { name: series.market })) continue;
+
+      for (const [index, point] of series.points.entries()) {
+        yield {
+          ...base,
+          bookmaker: series.bookmaker,
+          market: series.market,
+          hdp: series.hdp,
+          label: series.label,
+          outcome: series.outcome,
+          price: point.price,
+          at: toIso(point.at),
+          isOpening: index === 0
+        };
+      }
+    }
+  }
+}
+
+// Resolves once the response drains or closes. Both listeners are removed either way - racing two
+// `once()` calls would leave the loser attached on every wait
+const drainOrClose = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Write rows as they are generated, waiting for the socket to drain when its buffer is full.
+// Stops early if the client goes away. Resolves with the number of rows written
+const streamRows = async (res, format, columns, rows) => {
+  let count = 0;
+  if (format === 'csv') res.write(columns.join(',') + '\r\n');
+
+  for (const row of rows) {
+    if (res.destroyed) break;
+    if (!res.write(formatRow(format, columns, row))) {
+      await drainOrClose(res);
+    }
+    count++;
+  }
+
+  res.end();
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  CONTENT_TYPES,
+  exportColumns,
+  oddsRows,
+  historyRows,
+  streamRows
+};
@@ -0,0 +1,179 @@
+// services/fetchPool.js
+// Concurrency-limited upstream fetching with timeouts, retries, backoff and 429 handling
+
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY) || 4;
+const FETCH_TIMEOUT_MS = parseInt(process.env.FETCH_TIMEOUT_MS) || 10000;
+const FETCH_MAX_RETRIES = parseInt(process.env.FETCH_MAX_RETRIES) || 3;
+const FETCH_BACKOFF_MS = parseInt(process.env.FETCH_BACKOFF_MS) || 500;
+const FETCH_MAX_BACKOFF_MS = parseInt(process.env.FETCH_MAX_BACKOFF_MS) || 30000;
+
+// Error raised for failed upstream requests; `retryable` is false for permanent failures (e.g. 400)
+class UpstreamError extends Error {
+  constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Statuses worth retrying - everything else non-2xx is treated as permanent
+const isRetryableStatus = (status) => status === 408 || status === 425 || status === 429 || status >= 500;
+
+// Retry-After is either delay-seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+};
+
+class FetchPool {
+  constructor({
+    concurrency = FETCH_CONCURRENCY,
+    timeoutMs = FETCH_TIMEOUT_MS,
+    maxRetries = FETCH_MAX_RETRIES,
+    backoffMs = FETCH_BACKOFF_MS,
+    maxBackoffMs = FETCH_MAX_BACKOFF_MS
+  } = {}) {
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+
+    this.active = 0;
+    this.waiting = [];
+
+    // A 429 pauses every request until the upstream's Retry-After has passed
+    this.pausedUntil = 0;
+
+    this.stats = { requests: 0, succeeded: 0, retries: 0, permanentFailures: 0, retryableFailures: 0, timeouts: 0, rateLimited: 0 };
+  }
+
+  // ==================== SLOTS ====================
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // ==================== REQUESTS ====================
+
+  // Full-jitter exponential backoff
+  backoff(attempt) {
+    const cap = Math.min(this.maxBackoffMs, this.backoffMs * Math.pow(2, attempt));
+    return Math.random() * cap;
+  }
+
+  // GET a JSON resource. Options:
+  //   beforeAttempt() - return false to give up before sending (e.g. quota exhausted)
+  //   onResponse(status) - called for every attempt that got an HTTP response
+  //   onAttempt({ status, durationMs }) - called after every attempt; status is the HTTP
+  //     status, or 'timeout' / 'network_error' when no response arrived
+  //   request(url, init) - transport with fetch's contract (defaults to fetch)
+  async fetchJson(url, { beforeAttempt, onResponse, onAttempt, request = fetch } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const pauseMs = this.pausedUntil - Date.now();
+      if (pauseMs > 0) await this.sleep(pauseMs);
+
+      if (beforeAttempt && beforeAttempt() === false) {
+        throw new UpstreamError('Request skipped: rate limit reached', { retryable: false });
+      }
+
+      let error;
+      let status = null;
+      await this.acquire();
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+      const startedAt = Date.now();
+
+      try {
+        this.stats.requests++;
+        const response = await request(url, { signal: controller.signal });
+        status = response.status;
+        onResponse?.(response.status);
+
+        if (response.ok) {
+          try {
+            const data = await response.json();
+            this.stats.succeeded++;
+            return data;
+          } catch (parseError) {
+            error = new UpstreamError(`Invalid JSON: ${parseError.message}`, { status: response.status });
+          }
+        } else {
+          const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+          error = new UpstreamError(`HTTP ${response.status}: ${response.statusText}`, {
+            status: response.status,
+            retryable: isRetryableStatus(response.status),
+            retryAfterMs
+          });
+
+          if (response.status === 429) {
+            this.stats.rateLimited++;
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + (retryAfterMs ?? this.backoff(attempt)));
+          }
+        }
+      } catch (fetchError) {
+        // Network failures and timeouts never reached the API
+        const timedOut = fetchError.name === 'AbortError';
+        if (timedOut) this.stats.timeouts++;
+        status = timedOut ? 'timeout' : 'network_error';
+        error = new UpstreamError(timedOut ? `Timeout after ${this.timeoutMs}ms` : fetchError.message, { retryable: true });
+      } finally {
+        clearTimeout(timer);
+        this.release();
+        onAttempt?.({ status, durationMs: Date.now() - startedAt });
+      }
+
+      if (!error.retryable || attempt >= this.maxRetries) {
+        if (error.retryable) {
+          this.stats.retryableFailures++;
+        } else {
+          this.stats.permanentFailures++;
+        }
+        throw error;
+      }
+
+      this.stats.retries++;
+      await this.sleep(error.retryAfterMs ?? this.backoff(attempt));
+    }
+  }
+
+  getStatus() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.waiting.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil) : null,
+      ...this.stats
+    };
+  }
+
+  // Utility
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Shared instance for odds API requests
+const fetchPool = new FetchPool();
+
+module.exports = fetchPool;
+module.exports.FetchPool = FetchPool;
+module.exports.UpstreamError = UpstreamError;
@@ -0,0 +1,163 @@
+// services/listQuery.js
+// Shared query options for the event and odds routes - date/team filters, bookmaker/market
+// trimming, field projection, sorting and cursor pagination
+
+const SORT_FIELDS = ['date', 'home', 'away', 'league', 'cachedAt'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const splitList = (value) => value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null;
+
+// Case- and accent-insensitive text for team matching
+const fold = (value) => String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Opaque cursors carry the last item's sort value and id (keyset pagination)
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(values) && values.length === 2 ? values : null;
+  } catch {
+    return null;
+  }
+};
+
+const parseDate = (value) => {
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+// Parse ?from=&to=&team=&bookmakers=&markets=&fields=&sort=&limit=&cursor= into
+// { options } or { error }. `paginate` is only set when limit or cursor was given
+const parseListQuery = (query) => {
+  const options = {
+    team: query.team ? fold(query.team) : null,
+    bookmakers: splitList(query.bookmakers),
+    markets: splitList(query.markets)?.map(m => m.toLowerCase()) || null,
+    fields: splitList(query.fields),
+    sort: { field: 'date', desc: false },
+    paginate: query.limit !== undefined || query.cursor !== undefined
+  };
+
+  for (const bound of ['from', 'to']) {
+    if (query[bound] === undefined) continue;
+    options[bound] = parseDate(query[bound]);
+    if (options[bound] === null) return { error: `${bound} must be an ISO date` };
+  }
+
+  if (query.sort) {
+    const desc = query.sort.startsWith('-');
+    const field = desc ? query.sort.slice(1) : query.sort;
+    if (!SORT_FIELDS.includes(field)) {
+      return { error: `sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)` };
+    }
+    options.sort = { field, desc };
+  }
+
+  options.limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    options.limit = parseInt(query.limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+      return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { options };
+};
+
+// Date window and team filter for an event-like item ({ date, home, away })
+const matchesEvent = (options, item) => {
+  const time = parseDate(item?.date);
+  if (options.from != null && (time === null || time < options.from)) return false;
+  if (options.to != null && (time === null || time > options.to)) return false;
+  if (options.team && !fold(item.home).includes(options.team) && !fold(item.away).includes(options.team)) return false;
+  return true;
+};
+
+// Raw market names or normalized market types/names, case-insensitive "contains"
+const matchesMarket = (options, market) => !options.markets || options.markets.some(filter =>
+  String(market.name ?? market.market ?? '').toLowerCase().includes(filter) ||
+  (market.type && market.type === filter));
+
+// Keep only the requested bookmakers and markets of a (raw or normalized) eventOdds
+const trimOdds = (options, eventOdds) => {
+  if (!eventOdds || (!options.bookmakers && !options.markets)) return eventOdds;
+
+  const bookmakers = {};
+  for (const [bookmaker, markets] of Object.entries(eventOdds.bookmakers || {})) {
+    if (options.bookmakers && !options.bookmakers.includes(bookmaker)) continue;
+    const kept = (markets || []).filter(market => matchesMarket(options, market));
+    if (kept.length > 0) bookmakers[bookmaker] = kept;
+  }
+  const trimmed = { ...eventOdds, bookmakers };
+  if (options.bookmakers && eventOdds.urls) {
+    trimmed.urls = Object.fromEntries(Object.entries(eventOdds.urls).filter(([bookmaker]) => bookmakers[bookmaker]));
+  }
+  if (options.bookmakers && eventOdds.bookmakerStatus) {
+    trimmed.bookmakerStatus = Object.fromEntries(Object.entries(eventOdds.bookmakerStatus)
+      .filter(([bookmaker]) => options.bookmakers.includes(bookmaker)));
+  }
+  return trimmed;
+};
+
+// ?fields=id,home,odds - keep only the listed top-level fields
+const project = (options, item) => {
+  if (!options.fields || !item) return item;
+  return Object.fromEntries(options.fields.filter(field => field in item).map(field => [field, item[field]]));
+};
+
+const sortValue = (item, field) => {
+  const value = item[field];
+  if (field === 'date' || field === 'cachedAt') return parseDate(value) ?? 0;
+  return fold(value);
+};
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Sort by the requested field (ties by id), then return the page after the cursor.
+// Returns { items, page } where page is null unless pagination was requested
+const paginate = (options, items, idOf = (item) => item.id) => {
+  const { field, desc } = options.sort;
+  const direction = desc ? -1 : 1;
+  const keyed = items
+    .map(item => ({ item, key: [sortValue(item, field), String(idOf(item))] }))
+    .sort((a, b) => direction * (compare(a.key[0], b.key[0]) || compare(a.key[1], b.key[1])));
+
+  if (!options.paginate) {
+    return { items: keyed.map(k => k.item), page: null };
+  }
+
+  let start = 0;
+  if (options.cursor) {
+    const after = options.cursor;
+    start = keyed.findIndex(k => direction * (compare(k.key[0], after[0]) || compare(k.key[1], after[1])) > 0);
+    if (start === -1) start = keyed.length;
+  }
+
+  const pageItems = keyed.slice(start, start + options.limit);
+  const hasMore = start + options.limit < keyed.length;
+  return {
+    items: pageItems.map(k => k.item),
+    page: {
+      limit: options.limit,
+      count: pageItems.length,
+      total: keyed.length,
+      nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1].key) : null
+    }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseListQuery,
+  matchesEvent,
+  matchesMarket,
+  trimOdds,
+  project,
+  paginate
+};
@@ -0,0 +1,244 @@
+// services/liveTracker.js
+// In-play tracking - polls status=live events and refreshes their odds on a fast cadence,
+// spending its own slice of the hourly API budget
+
+const sportRegistry = require('./sportRegistry');
+const oddsCache = require('./oddsCache');
+const metrics = require('./metrics');
+
+const MAX_CALLS_PER_HOUR = parseInt(process.env.MAX_CALLS_PER_HOUR) || 5000;
+const LIVE_ENABLED = process.env.LIVE_ENABLED !== 'false';
+// Calls per hour reserved for in-play polling (taken out of the pre-match scheduler's budget)
+const LIVE_CALLS_PER_HOUR = parseInt(process.env.LIVE_CALLS_PER_HOUR) || 1000;
+const LIVE_ODDS_INTERVAL_SECONDS = parseInt(process.env.LIVE_ODDS_INTERVAL_SECONDS) || 20;
+// Live lists of leagues with games in progress or about to start are polled this often...
+const LIVE_EVENTS_INTERVAL_SECONDS = parseInt(process.env.LIVE_EVENTS_INTERVAL_SECONDS) || 60;
+// ...and every other league only this often, to catch games we missed the kickoff of
+const LIVE_IDLE_INTERVAL_MINUTES = parseInt(process.env.LIVE_IDLE_INTERVAL_MINUTES) || 15;
+const LIVE_TICK_SECONDS = 5;
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// A league turns active this long before its next kickoff
+const KICKOFF_LEAD_MS = 5 * MINUTE_MS;
+
+class LiveTracker {
+  constructor() {
+    this.enabled = LIVE_ENABLED;
+    // At most half the hourly quota, pre-match refreshes need the rest
+    this.budget = LIVE_ENABLED ? Math.min(LIVE_CALLS_PER_HOUR, Math.floor(MAX_CALLS_PER_HOUR / 2)) : 0;
+
+    this.events = {}; // { 'sport:eventId': entry }
+    this.leagues = {}; // { 'sport:league': entry }
+
+    // Own token bucket, refilled at the live budget per hour
+    this.ratePerMs = this.budget / HOUR_MS;
+    this.burst = Math.max(20, Math.max(...sportRegistry.list().map(sport => sport.bookmakers.length), 1) * 2);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+
+    // Odds intervals are stretched by this factor when live games would exceed the budget
+    this.stretch = 1;
+
+    this.timer = null;
+    this.isTicking = false;
+    this.lastTick = null;
+    this.callsLog = []; // { at, calls } for the last hour
+  }
+
+  start() {
+    if (!this.enabled) return;
+    this.stop();
+    console.log(`[Live] In-play tracking started (${this.budget} calls/hour, odds every ${LIVE_ODDS_INTERVAL_SECONDS}s)`);
+    this.timer = setInterval(() => this.tick(), LIVE_TICK_SECONDS * SECOND_MS);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ==================== PLANNING ====================
+
+  // A league is active while it has games in play or one kicks off within KICKOFF_LEAD_MS either
+  // side of now. Kicked-off games stay in the events list until eviction, so an open-ended check
+  // would keep the league active for hours with nothing in play
+  isActive(sport, league, now = Date.now()) {
+    if (oddsCache.getLiveEvents(sport, league).count > 0) return true;
+    return oddsCache.getEvents(sport, league).events.some(event => {
+      const startsAt = new Date(event.date).getTime();
+      return startsAt >= now - KICKOFF_LEAD_MS && startsAt <= now + KICKOFF_LEAD_MS;
+    });
+  }
+
+  // Bring leagues and in-play events in line with the registry and the cached live lists
+  sync(now = Date.now()) {
+    const seenLeagues = new Set();
+    const seenEvents = new Set();
+
+    for (const sport of sportRegistry.list()) {
+      for (const league of sport.leagues) {
+        const key = `${sport.key}:${league}`;
+        seenLeagues.add(key);
+        if (!this.leagues[key]) {
+          this.leagues[key] = { sport: sport.key, league, lastFetchedAt: null, nextDueAt: now };
+        }
+
+        const entry = this.leagues[key];
+        entry.active = this.isActive(sport.key, league, now);
+        entry.intervalMs = entry.active ? LIVE_EVENTS_INTERVAL_SECONDS * SECOND_MS : LIVE_IDLE_INTERVAL_MINUTES * MINUTE_MS;
+        entry.nextDueAt = entry.lastFetchedAt ? entry.lastFetchedAt + entry.intervalMs : now;
+      }
+
+      for (const event of oddsCache.getLiveEvents(sport.key).events) {
+        const key = `${sport.key}:${event.id}`;
+        seenEvents.add(key);
+        if (!this.events[key]) {
+          this.events[key] = {
+            sport: sport.key,
+            eventId: event.id,
+            league: event.league,
+            home: event.home,
+            away: event.away,
+            startsAt: new Date(event.date).getTime(),
+            fetches: 0,
+            lastFetchedAt: null,
+            nextDueAt: now
+          };
+        }
+        this.events[key].cost = sport.bookmakers.length;
+      }
+    }
+
+    // Finished games leave the live lists, and with them the queue
+    for (const key of Object.keys(this.events)) {
+      if (!seenEvents.has(key)) delete this.events[key];
+    }
+    for (const key of Object.keys(this.leagues)) {
+      if (!seenLeagues.has(key)) delete this.leagues[key];
+    }
+
+    this.stretch = this.computeStretch();
+    for (const entry of Object.values(this.events)) {
+      entry.intervalMs = LIVE_ODDS_INTERVAL_SECONDS * SECOND_MS * this.stretch;
+      entry.nextDueAt = entry.lastFetchedAt ? entry.lastFetchedAt + entry.intervalMs : now;
+    }
+  }
+
+  // Calls the current plan would spend in the next hour at the base cadence
+  projectCalls() {
+    const eventCalls = Object.values(this.events)
+      .reduce((sum, e) => sum + (HOUR_MS / (LIVE_ODDS_INTERVAL_SECONDS * SECOND_MS)) * e.cost, 0);
+    const leagueCalls = Object.values(this.leagues)
+      .reduce((sum, l) => sum + HOUR_MS / (l.intervalMs || LIVE_IDLE_INTERVAL_MINUTES * MINUTE_MS), 0);
+    return eventCalls + leagueCalls;
+  }
+
+  // >1 when in-play games at the base cadence would exceed the live budget
+  computeStretch() {
+    return this.budget > 0 ? Math.max(1, this.projectCalls() / this.budget) : 1;
+  }
+
+  // ==================== EXECUTION ====================
+
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.ratePerMs);
+    this.lastRefill = now;
+  }
+
+  spend(calls) {
+    this.tokens -= calls;
+    this.callsLog.push({ at: Date.now(), calls });
+  }
+
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+    const endTick = metrics.startRefresh('live');
+
+    try {
+      let now = Date.now();
+      this.refill(now);
+      this.sync(now);
+
+      // Active leagues first, they decide which games get odds
+      const dueLeagues = Object.values(this.leagues)
+        .filter(entry => entry.nextDueAt <= now)
+        .sort((a, b) => Number(b.active) - Number(a.active) || a.nextDueAt - b.nextDueAt);
+      for (const entry of dueLeagues) {
+        if (this.tokens < 1 || !oddsCache.checkRateLimit()) break;
+
+        await oddsCache.fetchEvents(entry.sport, entry.league, 'live');
+        this.spend(1);
+        entry.lastFetchedAt = Date.now();
+      }
+
+      now = Date.now();
+      this.sync(now);
+
+      const dueEvents = Object.values(this.events)
+        .filter(entry => entry.nextDueAt <= now)
+        .sort((a, b) => a.nextDueAt - b.nextDueAt);
+      for (const entry of dueEvents) {
+        this.refill();
+        if (this.tokens < entry.cost || !oddsCache.checkRateLimit()) break;
+
+        await oddsCache.fetchOddsForEvent(entry.sport, entry.eventId);
+        this.spend(entry.cost);
+        entry.fetches++;
+        entry.lastFetchedAt = Date.now();
+        entry.nextDueAt = entry.lastFetchedAt + entry.intervalMs;
+      }
+      endTick({ outcome: 'success' });
+    } catch (error) {
+      console.error('[Live] Tick error:', error);
+      endTick({ outcome: 'error' });
+    } finally {
+      this.lastTick = new Date();
+      this.isTicking = false;
+    }
+  }
+
+  // ==================== STATUS ====================
+
+  getStatus() {
+    const now = Date.now();
+    this.callsLog = this.callsLog.filter(entry => now - entry.at < HOUR_MS);
+
+    return {
+      enabled: this.enabled,
+      running: Boolean(this.timer),
+      lastTick: this.lastTick,
+      budget: {
+        callsPerHour: this.budget,
+        tokens: Math.floor(this.tokens),
+        burst: this.burst,
+        usedLastHour: this.callsLog.reduce((sum, entry) => sum + entry.calls, 0),
+        projectedNextHour: Math.round(this.projectCalls()),
+        stretch: Math.round(this.stretch * 100) / 100
+      },
+      oddsIntervalSeconds: Math.round(LIVE_ODDS_INTERVAL_SECONDS * this.stretch * 10) / 10,
+      activeLeagues: Object.values(this.leagues).filter(entry => entry.active).map(entry => `${entry.sport}:${entry.league}`),
+      events: Object.values(this.events).map(e => ({
+        sport: e.sport,
+        eventId: e.eventId,
+        league: e.league,
+        home: e.home,
+        away: e.away,
+        fetches: e.fetches,
+        lastFetchedAt: e.lastFetchedAt ? new Date(e.lastFetchedAt) : null,
+        nextDueAt: new Date(e.nextDueAt)
+      }))
+    };
+  }
+}
+
+// Singleton instance
+const liveTracker = new LiveTracker();
+
+module.exports = liveTracker;
@@ -0,0 +1,59 @@
+// services/markets.js
+// Helpers for reading the odds API's per-bookmaker market structure
+
+const { toDecimalPrice } = require('./devig');
+
+// Outcome keys the odds API uses inside a market's odds entries
+const OUTCOME_KEYS = ['home', 'draw', 'away', 'over', 'under', 'yes', 'no'];
+
+// Flatten one bookmaker's markets into { lineKey: { market, hdp, label, prices: { outcome: price } } }
+const extractLines = (markets) => {
+  const lines = {};
+  if (!Array.isArray(markets)) return lines;
+
+  for (const market of markets) {
+    for (const entry of market.odds || []) {
+      const prices = {};
+      for (const outcome of OUTCOME_KEYS) {
+        const price = toDecimalPrice(entry[outcome]);
+        if (price) prices[outcome] = price;
+      }
+      if (Object.keys(prices).length === 0) continue;
+
+      const hdp = entry.hdp ?? null;
+      const label = entry.label ?? null;
+      const key = `${market.name}|${hdp ?? ''}|${label ?? ''}`;
+      lines[key] = { market: market.name, hdp, label, prices };
+    }
+  }
+
+  return lines;
+};
+
+// Market names that are three-way (home/draw/away) whatever the books quote
+const THREE_WAY_MARKET = /1x2|match result|full time result|three[- ]way|3[- ]way/i;
+
+// Markets that are three-way for an event: named so, or any book quotes a draw on any of their lines
+const threeWayMarkets = (linesByBookmaker) => {
+  const threeWay = new Set();
+  for (const lines of Object.values(linesByBookmaker)) {
+    for (const line of Object.values(lines)) {
+      if (line.prices.draw || THREE_WAY_MARKET.test(line.market)) threeWay.add(line.market);
+    }
+  }
+  return threeWay;
+};
+
+// Whether outcomes ({ outcome: anything }) cover the whole market - home and away alone
+// don't cover a three-way market, so de-vigging or arbing them overstates the edge
+const isCompleteLine = (market, outcomes, threeWay) => {
+  if (threeWay.has(market)) return Boolean(outcomes.home && outcomes.draw && outcomes.away);
+  return Object.keys(outcomes).length >= 2;
+};
+
+module.exports = {
+  OUTCOME_KEYS,
+  extractLines,
+  threeWayMarkets,
+  isCompleteLine
+};
@@ -0,0 +1,221 @@
+// services/metrics.js
+// Prometheus metrics for upstream calls, refreshes, cache contents and Socket.IO traffic
+
+const client = require('prom-client');
+
+const UPSTREAM_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const REFRESH_BUCKETS = [0.5, 1, 5, 15, 30, 60, 120, 300, 600];
+
+// Socket.IO packet data looks like `2["oddsUpdate",{...}]` (optionally `2/ns,` or an ack id)
+const PACKET_EVENT = /^\d+(?:\/[^,]*,)?\d*\["([^"]+)"/;
+
+class Metrics {
+  constructor() {
+    this.register = new client.Registry();
+    client.collectDefaultMetrics({ register: this.register });
+
+    // Set by attach() - read at scrape time so gauges are never stale
+    this.sources = {};
+
+    this.upstreamRequests = new client.Counter({
+      name: 'odds_upstream_requests_total',
+      help: 'Upstream odds API attempts by endpoint, bookmaker and HTTP status (or timeout/network_error)',
+      labelNames: ['endpoint', 'bookmaker', 'status'],
+      registers: [this.register]
+    });
+
+    this.upstreamDuration = new client.Histogram({
+      name: 'odds_upstream_request_duration_seconds',
+      help: 'Upstream odds API attempt latency',
+      labelNames: ['endpoint'],
+      buckets: UPSTREAM_BUCKETS,
+      registers: [this.register]
+    });
+
+    this.refreshDuration = new client.Histogram({
+      name: 'odds_refresh_duration_seconds',
+      help: 'Refresh run duration by scope (all, a sport key, scheduler or live tick) and outcome',
+      labelNames: ['scope', 'outcome'],
+      buckets: REFRESH_BUCKETS,
+      registers: [this.register]
+    });
+
+    this.broadcastBytes = new client.Counter({
+      name: 'odds_socket_sent_bytes_total',
+      help: 'Bytes sent to Socket.IO clients by event',
+      labelNames: ['event'],
+      registers: [this.register]
+    });
+
+    this.broadcastMessages = new client.Counter({
+      name: 'odds_socket_sent_messages_total',
+      help: 'Messages sent to Socket.IO clients by event',
+      labelNames: ['event'],
+      registers: [this.register]
+    });
+
+    this.createCollectedGauges();
+  }
+
+  // Gauges computed from the live services on every scrape
+  createCollectedGauges() {
+    const metrics = this;
+
+    new client.Gauge({
+      name: 'odds_cache_events',
+      help: 'Cached events per sport and league',
+      labelNames: ['sport', 'league'],
+      registers: [this.register],
+      collect() {
+        this.reset();
+        const { oddsCache, sportRegistry } = metrics.sources;
+        if (!oddsCache) return;
+        for (const sport of sportRegistry.keys()) {
+          for (const [league, events] of Object.entries(oddsCache.getSportCache(sport).events)) {
+            this.set({ sport, league }, events.length);
+          }
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'odds_cache_events_with_odds',
+      help: 'Cached events that have odds, per sport and league',
+      labelNames: ['sport', 'league'],
+      registers: [this.register],
+      collect() {
+        this.reset();
+        const { oddsCache, sportRegistry } = metrics.sources;
+        if (!oddsCache) return;
+        for (const sport of sportRegistry.keys()) {
+          const { events, odds } = oddsCache.getSportCache(sport);
+          for (const [league, list] of Object.entries(events)) {
+            this.set({ sport, league }, list.filter(event => odds[event.id]).length);
+          }
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'odds_data_age_seconds',
+      help: 'Seconds since each cached event\'s odds were fetched',
+      labelNames: ['sport', 'league', 'event_id'],
+      registers: [this.register],
+      collect() {
+        this.reset();
+        const { oddsCache, sportRegistry } = metrics.sources;
+        if (!oddsCache) return;
+        const now = Date.now();
+        for (const sport of sportRegistry.keys()) {
+          const { events, odds } = oddsCache.getSportCache(sport);
+          for (const [league, list] of Object.entries(events)) {
+            for (const event of list) {
+              const cachedAt = odds[event.id]?.cachedAt;
+              if (cachedAt) this.set({ sport, league, event_id: String(event.id) }, (now - new Date(cachedAt).getTime()) / 1000);
+            }
+          }
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'odds_api_calls_used',
+      help: 'Upstream API calls counted against the hourly quota this hour',
+      registers: [this.register],
+      collect() {
+        if (metrics.sources.oddsCache) this.set(metrics.sources.oddsCache.apiCallsThisHour);
+      }
+    });
+
+    new client.Gauge({
+      name: 'odds_api_calls_remaining',
+      help: 'Upstream API calls left in the hourly quota',
+      registers: [this.register],
+      collect() {
+        if (metrics.sources.oddsCache) this.set(metrics.sources.oddsCache.getRemainingCalls());
+      }
+    });
+
+    new client.Gauge({
+      name: 'odds_scheduler_tokens',
+      help: 'Calls the adaptive scheduler may spend right now (token bucket level)',
+      registers: [this.register],
+      collect() {
+        if (metrics.sources.refreshScheduler) this.set(Math.floor(metrics.sources.refreshScheduler.tokens));
+      }
+    });
+
+    new client.Gauge({
+      name: 'odds_socket_connected',
+      help: 'Connected Socket.IO clients',
+      registers: [this.register],
+      collect() {
+        if (metrics.sources.io) this.set(metrics.sources.io.sockets.sockets.size);
+      }
+    });
+
+    // Per-socket rooms are skipped and owner rooms summed, to keep label cardinality bounded
+    new client.Gauge({
+      name: 'odds_socket_room_members',
+      help: 'Sockets per Socket.IO room (owner rooms summed as owner:*)',
+      labelNames: ['room'],
+      registers: [this.register],
+      collect() {
+        this.reset();
+        const { io } = metrics.sources;
+        if (!io) return;
+        const counts = {};
+        for (const [room, members] of io.sockets.adapter.rooms) {
+          if (io.sockets.sockets.has(room)) continue;
+          const name = room.startsWith('owner:') ? 'owner:*' : room;
+          counts[name] = (counts[name] || 0) + members.size;
+        }
+        for (const [room, count] of Object.entries(counts)) this.set({ room }, count);
+      }
+    });
+  }
+
+  // Give the scrape-time gauges access to the running services
+  attach({ oddsCache, sportRegistry, refreshScheduler, io }) {
+    this.sources = { oddsCache, sportRegistry, refreshScheduler, io };
+
+    // Count bytes as engine.io writes them, so every emit path (rooms, per-socket, acks) is covered
+    io?.engine.on('connection', (rawSocket) => {
+      rawSocket.on('packetCreate', (packet) => {
+        if (packet.type !== 'message' || packet.data == null) return;
+        const data = packet.data;
+        const event = typeof data === 'string' ? data.slice(0, 64).match(PACKET_EVENT)?.[1] || 'other' : 'binary';
+        this.broadcastBytes.inc({ event }, typeof data === 'string' ? Buffer.byteLength(data) : data.length || 0);
+        this.broadcastMessages.inc({ event });
+      });
+    });
+  }
+
+  // ==================== RECORDING ====================
+
+  // One upstream attempt (see fetchPool onAttempt)
+  recordUpstream(url, { status, durationMs }) {
+    const { pathname, searchParams } = new URL(url);
+    const endpoint = pathname.split('/').pop();
+    this.upstreamRequests.inc({ endpoint, bookmaker: searchParams.get('bookmakers') || '', status: String(status) });
+    this.upstreamDuration.observe({ endpoint }, durationMs / 1000);
+  }
+
+  // Returns a function that records the run when called with its outcome
+  startRefresh(scope) {
+    return this.refreshDuration.startTimer({ scope });
+  }
+
+  async render() {
+    return this.register.metrics();
+  }
+
+  get contentType() {
+    return this.register.contentType;
+  }
+}
+
+// Singleton instance
+const metrics = new Metrics();
+
+module.exports = metrics;
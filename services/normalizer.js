@@ -0,0 +1,111 @@
+// services/normalizer.js
+// Canonical market/outcome model so consumers don't parse each bookmaker's raw structure
+
+const { OUTCOME_KEYS } = require('./markets');
+const { toDecimalPrice } = require('./devig');
+
+const MARKET_TYPES = ['moneyline', '1x2', 'spread', 'total', 'btts', 'player_prop', 'other'];
+
+// Period qualifiers in raw market names, checked before the market type
+const PERIODS = [
+  { pattern: /\b(1st|first) half\b|\b1h\b/i, period: '1h' },
+  { pattern: /\b(2nd|second) half\b|\b2h\b/i, period: '2h' },
+  { pattern: /\b(1st|first) quarter\b|\bq1\b/i, period: 'q1' },
+  { pattern: /\b(2nd|second) quarter\b|\bq2\b/i, period: 'q2' },
+  { pattern: /\b(3rd|third) quarter\b|\bq3\b/i, period: 'q3' },
+  { pattern: /\b(4th|fourth) quarter\b|\bq4\b/i, period: 'q4' }
+];
+
+// Player prop labels look like "Nikola Jokic (Rebounds)"
+const PLAYER_LABEL = /^(.+?)\s*\(([^)]+)\)\s*$/;
+
+// { player, stat } from a prop label, or null when it isn't a player label
+const parsePlayerLabel = (label) => {
+  const match = label ? String(label).match(PLAYER_LABEL) : null;
+  return match ? { player: match[1].trim(), stat: match[2].trim().toLowerCase() } : null;
+};
+
+const parseLine = (hdp) => {
+  const line = parseFloat(hdp);
+  return Number.isFinite(line) ? line : null;
+};
+
+// Canonical type from the raw market name, falling back on which outcomes are priced
+const marketType = (name, entry) => {
+  const lower = String(name).toLowerCase();
+  if (lower.includes('player')) return 'player_prop';
+  if (lower.includes('both teams') || lower.includes('btts')) return 'btts';
+  if (lower.includes('spread') || lower.includes('handicap')) return 'spread';
+  if (lower.includes('total') || lower.includes('over/under')) return 'total';
+  if (lower === 'ml' || lower.includes('moneyline') || lower.includes('1x2') ||
+    lower.includes('match winner') || lower.includes('match result') || lower.includes('full time result')) {
+    return entry.draw !== undefined ? '1x2' : 'moneyline';
+  }
+
+  if (entry.over !== undefined && entry.under !== undefined) return 'total';
+  return 'other';
+};
+
+// One raw market (name + odds entries) into canonical markets, one per line
+const normalizeMarket = (market) => {
+  const period = PERIODS.find(p => p.pattern.test(market.name))?.period || 'full';
+  const normalized = [];
+
+  for (const entry of market.odds || []) {
+    const outcomes = [];
+    for (const side of OUTCOME_KEYS) {
+      const price = toDecimalPrice(entry[side]);
+      if (price) outcomes.push({ side, price });
+    }
+    if (outcomes.length === 0) continue;
+
+    const type = marketType(market.name, entry);
+    const label = entry.label ?? null;
+    const { player = null, stat = null } = (type === 'player_prop' && parsePlayerLabel(label)) || {};
+    // Spread lines are quoted from the home side; totals and props are the number itself
+    const line = parseLine(entry.hdp);
+
+    // Props are told apart by player and stat; everything else by its raw name and label too, so
+    // e.g. home and away team totals (or corners and goals totals) at one line never share a key
+    const subject = type === 'player_prop' ? ['', ''] : [market.name, label ?? ''];
+
+    normalized.push({
+      key: [type, period, line ?? '', player ?? '', stat ?? '', ...subject].join('|'),
+      type,
+      period,
+      line,
+      player,
+      stat,
+      market: market.name,
+      label,
+      outcomes
+    });
+  }
+
+  return normalized;
+};
+
+// One bookmaker's raw markets array into a flat list of canonical markets
+const normalizeBookmaker = (markets) =>
+  (Array.isArray(markets) ? markets : []).flatMap(normalizeMarket);
+
+// A cached eventOdds with every bookmaker normalized; event metadata is kept as-is
+const normalizeEventOdds = (eventOdds) => {
+  if (!eventOdds) return null;
+
+  const bookmakers = {};
+  for (const [bookmaker, markets] of Object.entries(eventOdds.bookmakers || {})) {
+    bookmakers[bookmaker] = normalizeBookmaker(markets);
+  }
+  return { ...eventOdds, format: 'normalized', bookmakers };
+};
+
+module.exports = {
+  MARKET_TYPES,
+  marketType,
+  parsePlayerLabel,
+  parseLine,
+  normalizeMarket,
+  normalizeBookmaker,
+  normalizeEventOdds
+};
@@ -1,74 +1,65 @@
 // services/oddsCache.js
 // Centralized odds caching service with rate limiting
 
+const sportRegistry = require('./sportRegistry');
+const fetchPool = require('./fetchPool');
+const upstreamProvider = require('./upstreamProvider');
+const { normalizeEventOdds } = require('./normalizer');
+const metrics = require('./metrics');
+
 const ODDS_API_KEY = process.env.ODDS_API_KEY || '811e5fb0efa75d2b92e800cb55b60b30f62af8c21da06c4b2952eb516bee0a2e';
 const ODDS_API_BASE = process.env.ODDS_API_BASE || 'https://api2.odds-api.io/v3';
 const MAX_CALLS_PER_HOUR = parseInt(process.env.MAX_CALLS_PER_HOUR) || 5000;
+// A bookmaker's prices are flagged stale once they are older than this (or its last refetch failed)
+const ODDS_STALE_MINUTES = parseInt(process.env.ODDS_STALE_MINUTES) || 120;
+// Events and their odds are evicted this long after kickoff
+const EVENT_EVICT_GRACE_MINUTES = parseInt(process.env.EVENT_EVICT_GRACE_MINUTES) || 180;
+const EVICTED_LOG_SIZE = 200;
 
-// Bookmakers configuration (Sporttrade removed - returns 400 errors)
-const NBA_BOOKMAKERS = [
-  'Kambi', 'Bet365', 'DraftKings', 'Pinnacle', 'BetMGM', 'Caesars', 'PrizePicks', 'FanDuel',
-  'BetOnline.ag', 'BetPARX', 'BetRivers', 'Bovada', 'Fanatics', 'Fliff', 'Superbet', 'Underdog', 'Bally Bet'
-];
-
-const FOOTBALL_BOOKMAKERS = [
-  'Pinnacle', 'Bet365', 'Kambi', 'DraftKings', 'FanDuel', 'BetMGM', 'Caesars',
-  'BetOnline.ag', 'BetRivers', 'Bovada', 'Fanatics', 'Superbet', 'Bally Bet'
-];
-
-// Football leagues to track (matches frontend config)
-const FOOTBALL_LEAGUES = [
-  // Top 5 + second divisions
-  'england-premier-league',
-  'england-championship',
-  'england-fa-cup',
-  'spain-laliga',
-  'spain-laliga-2',
-  'germany-bundesliga',
-  'germany-2-bundesliga',
-  'italy-serie-a',
-  'italy-serie-b',
-  'france-ligue-1',
-  'france-ligue-2',
-  // European leagues
-  'netherlands-eredivisie',
-  'portugal-liga-portugal',
-  'belgium-pro-league',
-  'scotland-premiership',
-  'denmark-superliga',
-  'austria-bundesliga',
-  'greece-super-league',
-  // UEFA competitions
-  'international-clubs-uefa-champions-league',
-  'international-clubs-uefa-europa-league',
-  'international-clubs-uefa-conference-league',
-  // Other
-  'saudi-arabia-saudi-pro-league',
-  'brazil-brasileiro-serie-a',
-  'argentina-liga-profesional'
-];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class OddsCache {
   constructor() {
-    // Cache storage
-    this.nbaEvents = [];
-    this.nbaOdds = {}; // { eventId: { bookmaker: oddsData } }
-    this.footballEvents = {}; // { leagueSlug: events[] }
-    this.footballOdds = {}; // { eventId: { bookmaker: oddsData } }
+    // Cache storage per sport (see createSportCache)
+    this.sports = {};
+    for (const sport of sportRegistry.keys()) {
+      this.sports[sport] = this.createSportCache();
+    }
 
     // Rate limiting
     this.apiCallsThisHour = 0;
     this.hourStartTime = Date.now();
 
-    // Last update timestamps
-    this.lastNbaEventsUpdate = null;
-    this.lastNbaOddsUpdate = null;
-    this.lastFootballEventsUpdate = {};
-    this.lastFootballOddsUpdate = null;
-
     // Status tracking
     this.isRefreshing = false;
     this.lastError = null;
+
+    // Normalized views keyed by the cached eventOdds object, so a refetch invalidates them
+    this.normalized = new WeakMap();
+
+    // Recently evicted events per sport: { sport: Map(eventId -> record) }, oldest first
+    this.evicted = {};
+  }
+
+  createSportCache() {
+    return {
+      events: {}, // { leagueSlug: events[] }
+      live: {}, // { leagueSlug: in-play events[] }
+      odds: {}, // { eventId: { bookmaker: oddsData } }
+      lastEventsUpdate: {}, // { leagueSlug: Date }
+      lastLiveUpdate: {}, // { leagueSlug: Date }
+      lastOddsUpdate: null,
+      // Last time prices were flagged stale or events and bookmakers dropped - changes that
+      // bump no fetch timestamp, so conditional GETs key on this too
+      lastSweep: null
+    };
+  }
+
+  getSportCache(sport) {
+    if (!this.sports[sport]) {
+      this.sports[sport] = this.createSportCache();
+    }
+    return this.sports[sport];
   }
 
   // Check and reset hourly rate limit
@@ -90,293 +81,660 @@ class OddsCache {
     return MAX_CALLS_PER_HOUR - this.apiCallsThisHour;
   }
 
-  // Generic fetch with rate limiting
-  async fetchWithRateLimit(url, description = '') {
+  // Generic fetch with rate limiting, retries and concurrency handled by the fetch pool
+  // Options: onFailure(reason) - called when null is returned because the request failed or was skipped;
+  // onCall() - called for every attempt that counted against the quota
+  async fetchWithRateLimit(url, description = '', { onFailure, onCall } = {}) {
     if (!this.checkRateLimit()) {
       console.log(`[RateLimit] Limit reached (${this.apiCallsThisHour}/${MAX_CALLS_PER_HOUR}). Skipping: ${description}`);
+      onFailure?.('Hourly API limit reached');
       return null;
     }
 
     try {
-      this.apiCallsThisHour++;
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await fetchPool.fetchJson(url, {
+        beforeAttempt: () => this.checkRateLimit(),
+        // Only attempts that reached the API count against the quota
+        onResponse: () => {
+          this.apiCallsThisHour++;
+          onCall?.();
+        },
+        onAttempt: (attempt) => metrics.recordUpstream(url, attempt),
+        // Live API, or fixture recording/replay (UPSTREAM_MODE)
+        request: (requestUrl, init) => upstreamProvider.request(requestUrl, init)
+      });
       console.log(`[API ${this.apiCallsThisHour}/${MAX_CALLS_PER_HOUR}] ${description}`);
       return data;
     } catch (error) {
-      console.error(`[API Error] ${description}: ${error.message}`);
-      this.lastError = { time: new Date(), message: error.message, url };
+      const kind = error.retryable ? 'gave up after retries' : 'permanent';
+      console.error(`[API Error] ${description}: ${error.message} (${kind})`);
+      this.lastError = {
+        time: new Date(),
+        message: error.message,
+        url,
+        status: error.status ?? null,
+        retryable: error.retryable ?? false
+      };
+      onFailure?.(error.message);
       return null;
     }
   }
 
-  // ==================== NBA FETCHING ====================
+  // ==================== FETCHING ====================
+
+  // Upcoming events (status 'pending'), or in-play ones (status 'live', kept in cache.live)
+  // Options: onCall - see fetchWithRateLimit
+  async fetchEvents(sport, leagueSlug, status = 'pending', { onCall } = {}) {
+    const config = sportRegistry.get(sport);
+    const cache = this.getSportCache(sport);
+    const live = status === 'live';
 
-  async fetchNbaEvents() {
     // Format date in RFC3339 format (required by API)
-    const toDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const toDate = new Date(Date.now() + config.eventsWindowDays * DAY_MS);
     const toDateStr = toDate.toISOString(); // e.g., 2025-12-16T23:59:59.999Z
 
-    const url = `${ODDS_API_BASE}/events?apiKey=${ODDS_API_KEY}&sport=basketball&league=usa-nba&status=pending&to=${toDateStr}`;
-    const data = await this.fetchWithRateLimit(url, 'NBA events');
+    const url = `${ODDS_API_BASE}/events?apiKey=${ODDS_API_KEY}&sport=${config.apiSport}&league=${leagueSlug}&status=${status}${live ? '' : `&to=${toDateStr}`}`;
+    const data = await this.fetchWithRateLimit(url, `${config.name} ${live ? 'live ' : ''}events for ${leagueSlug}`, { onCall });
 
+    const lists = live ? cache.live : cache.events;
     if (data && Array.isArray(data)) {
-      this.nbaEvents = data;
-      this.lastNbaEventsUpdate = new Date();
-      console.log(`[NBA] Cached ${data.length} events`);
+      lists[leagueSlug] = data;
+      (live ? cache.lastLiveUpdate : cache.lastEventsUpdate)[leagueSlug] = new Date();
+      console.log(`[${config.name}] Cached ${data.length} ${live ? 'live ' : ''}events for ${leagueSlug}`);
     }
 
-    return this.nbaEvents;
+    return lists[leagueSlug] || [];
   }
 
-  async fetchNbaOddsForEvent(eventId) {
-    // Fetch each bookmaker individually to avoid API limits
-    const eventOdds = { bookmakers: {}, cachedAt: new Date() };
-
-    for (const bookmaker of NBA_BOOKMAKERS) {
-      if (!this.checkRateLimit()) break;
+  async fetchOddsForEvent(sport, eventId, bookmakers = sportRegistry.get(sport).bookmakers, { onCall } = {}) {
+    const config = sportRegistry.get(sport);
+    const cache = this.getSportCache(sport);
+    const previous = cache.odds[eventId];
+    const live = this.isLive(sport, eventId);
+
+    // Fetch each bookmaker individually to avoid API limits (in parallel, bounded by the fetch pool)
+    const eventOdds = {
+      bookmakers: {},
+      // { bookmaker: { fetchedAt, offered, stale, error, failedAt } }
+      bookmakerStatus: {},
+      cachedAt: new Date(),
+      ...(previous && { urls: previous.urls, home: previous.home, away: previous.away, date: previous.date }),
+      ...(live && { live: true })
+    };
 
+    const failures = {};
+    const responses = await Promise.all(bookmakers.map(async (bookmaker) => {
       const url = `${ODDS_API_BASE}/odds?apiKey=${ODDS_API_KEY}&eventId=${eventId}&bookmakers=${bookmaker}`;
-      const data = await this.fetchWithRateLimit(url, `NBA odds ${eventId} - ${bookmaker}`);
+      return [bookmaker, await this.fetchWithRateLimit(url, `${config.name} odds ${eventId} - ${bookmaker}`, {
+        onFailure: (reason) => { failures[bookmaker] = reason; },
+        onCall
+      })];
+    }));
 
+    for (const [bookmaker, data] of responses) {
       if (data && data.bookmakers && data.bookmakers[bookmaker]) {
         eventOdds.bookmakers[bookmaker] = data.bookmakers[bookmaker];
+        eventOdds.urls = { ...eventOdds.urls, ...data.urls };
         eventOdds.home = data.home;
         eventOdds.away = data.away;
         eventOdds.date = data.date;
+        eventOdds.bookmakerStatus[bookmaker] = { fetchedAt: eventOdds.cachedAt, offered: true, stale: false, error: null };
+      } else if (failures[bookmaker]) {
+        // Keep the last good prices, flagged stale with their original fetch time
+        const lastMarkets = previous?.bookmakers?.[bookmaker];
+        if (lastMarkets) eventOdds.bookmakers[bookmaker] = lastMarkets;
+        eventOdds.bookmakerStatus[bookmaker] = {
+          fetchedAt: lastMarkets ? previous.bookmakerStatus?.[bookmaker]?.fetchedAt || previous.cachedAt : null,
+          offered: Boolean(lastMarkets),
+          stale: Boolean(lastMarkets),
+          error: failures[bookmaker],
+          failedAt: eventOdds.cachedAt
+        };
+      } else {
+        // Answered, but the bookmaker has no odds for this event
+        eventOdds.bookmakerStatus[bookmaker] = { fetchedAt: eventOdds.cachedAt, offered: false, stale: false, error: null };
       }
+    }
 
-      await this.sleep(50); // Small delay between requests
+    if (live && previous) {
+      eventOdds.suspended = this.trackSuspensions(previous, eventOdds);
     }
 
-    this.nbaOdds[eventId] = eventOdds;
+    cache.odds[eventId] = eventOdds;
+    this.evicted[sport]?.delete(String(eventId));
     return eventOdds;
   }
 
-  async refreshNbaOdds() {
-    if (this.nbaEvents.length === 0) {
-      await this.fetchNbaEvents();
-    }
-
-    // Sort events by date, prioritize upcoming matches
-    const sortedEvents = [...this.nbaEvents].sort((a, b) =>
-      new Date(a.date) - new Date(b.date)
-    );
-
-    // Only fetch odds for matches in the next 3 days to save API calls
-    const threeDaysFromNow = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-    const upcomingEvents = sortedEvents.filter(e => new Date(e.date) <= threeDaysFromNow);
+  // In-play books pull markets while play is dangerous. Markets a bookmaker answered without
+  // are suspended until they come back: { bookmaker: { marketName: since } }
+  trackSuspensions(previous, eventOdds) {
+    const suspended = {};
+    const quoted = (bookmaker, marketName) =>
+      (eventOdds.bookmakers[bookmaker] || []).some(market => market.name === marketName);
+    const suspend = (bookmaker, marketName) => {
+      const since = previous.suspended?.[bookmaker]?.[marketName] || eventOdds.cachedAt;
+      (suspended[bookmaker] ||= {})[marketName] = since;
+    };
 
-    console.log(`[NBA] Refreshing odds for ${upcomingEvents.length} upcoming events...`);
+    // Only books that answered this time - failed ones keep their last prices, flagged stale
+    for (const [bookmaker, markets] of Object.entries(previous.bookmakers || {})) {
+      const status = eventOdds.bookmakerStatus[bookmaker];
+      if (!status || status.stale) continue;
+      for (const market of markets || []) {
+        if (!quoted(bookmaker, market.name)) suspend(bookmaker, market.name);
+      }
+    }
 
-    for (const event of upcomingEvents) {
-      if (!this.checkRateLimit()) {
-        console.log('[NBA] Rate limit reached, stopping refresh');
-        break;
+    // Already suspended markets stay so until the bookmaker quotes them again
+    for (const [bookmaker, markets] of Object.entries(previous.suspended || {})) {
+      for (const marketName of Object.keys(markets)) {
+        if (!quoted(bookmaker, marketName)) suspend(bookmaker, marketName);
       }
-      await this.fetchNbaOddsForEvent(event.id);
-      await this.sleep(100); // Small delay between requests
     }
 
-    this.lastNbaOddsUpdate = new Date();
+    return suspended;
   }
 
-  // ==================== FOOTBALL FETCHING ====================
+  // Leagues the odds API offers for a sport ([{ name, slug }]), or null when the request failed
+  async fetchLeagues(sport) {
+    const config = sportRegistry.get(sport);
+    const url = `${ODDS_API_BASE}/leagues?apiKey=${ODDS_API_KEY}&sport=${config.apiSport}`;
+    const data = await this.fetchWithRateLimit(url, `${config.name} leagues`);
+    return Array.isArray(data) ? data : null;
+  }
 
-  async fetchFootballEvents(leagueSlug) {
-    // Format date in RFC3339 format (required by API)
-    const toDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    const toDateStr = toDate.toISOString(); // e.g., 2025-12-16T23:59:59.999Z
+  // Bookmakers the odds API offers ([{ name }]), or null when the request failed
+  async fetchBookmakers() {
+    const data = await this.fetchWithRateLimit(`${ODDS_API_BASE}/bookmakers?apiKey=${ODDS_API_KEY}`, 'Bookmakers');
+    return Array.isArray(data) ? data : null;
+  }
 
-    const url = `${ODDS_API_BASE}/events?apiKey=${ODDS_API_KEY}&sport=football&league=${leagueSlug}&status=pending&to=${toDateStr}`;
-    const data = await this.fetchWithRateLimit(url, `Football events for ${leagueSlug}`);
+  // Refresh events for every league of a sport, then odds for its upcoming events
+  // Options: maxAgeMs - skip leagues and events whose cached data is younger than this (warm start);
+  // signal - AbortSignal that stops the odds loop before its next event;
+  // onProgress({ sport, phase, current, total }) - called as leagues and events complete;
+  // onCall - see fetchWithRateLimit
+  // Returns { sport, events, fetched, cancelled }
+  async refreshSportOdds(sport, { maxAgeMs, signal, onProgress, onCall } = {}) {
+    const endRefresh = metrics.startRefresh(sport);
+    try {
+      const config = sportRegistry.get(sport);
+      const cache = this.getSportCache(sport);
+
+      // Fetch events for all leagues
+      const staleLeagues = config.leagues.filter(league => !this.isFresh(cache.lastEventsUpdate[league], maxAgeMs));
+      let leaguesDone = 0;
+      onProgress?.({ sport, phase: 'events', current: 0, total: staleLeagues.length });
+      await Promise.all(staleLeagues.map(async (league) => {
+        await this.fetchEvents(sport, league, 'pending', { onCall });
+        onProgress?.({ sport, phase: 'events', current: ++leaguesDone, total: staleLeagues.length });
+      }));
+
+      // Collect all upcoming events across leagues
+      const allEvents = [];
+      for (const league of config.leagues) {
+        const events = cache.events[league] || [];
+        allEvents.push(...events.map(e => ({ ...e, league })));
+      }
 
-    if (data && Array.isArray(data)) {
-      this.footballEvents[leagueSlug] = data;
-      this.lastFootballEventsUpdate[leagueSlug] = new Date();
-      console.log(`[Football] Cached ${data.length} events for ${leagueSlug}`);
-    }
+      // Sort by date, prioritize upcoming
+      const sortedEvents = allEvents.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      // Only fetch odds for matches inside the sport's odds window to save API calls.
+      // Games in play are left to the live tracker, which already polls them
+      const windowEnd = new Date(Date.now() + config.oddsWindowDays * DAY_MS);
+      const upcomingEvents = sortedEvents
+        .filter(e => new Date(e.date) <= windowEnd)
+        .filter(e => !this.isLive(sport, e.id))
+        .filter(e => !this.isFresh(cache.odds[e.id]?.cachedAt, maxAgeMs));
+
+      console.log(`[${config.name}] Refreshing odds for ${upcomingEvents.length} upcoming events...`);
+      onProgress?.({ sport, phase: 'odds', current: 0, total: upcomingEvents.length });
+
+      let fetched = 0;
+      for (const event of upcomingEvents) {
+        if (signal?.aborted) {
+          console.log(`[${config.name}] Refresh cancelled after ${fetched}/${upcomingEvents.length} events`);
+          break;
+        }
+        if (!this.checkRateLimit()) {
+          console.log(`[${config.name}] Rate limit reached, stopping refresh`);
+          break;
+        }
+        await this.fetchOddsForEvent(sport, event.id, config.bookmakers, { onCall });
+        onProgress?.({ sport, phase: 'odds', current: ++fetched, total: upcomingEvents.length, eventId: event.id });
+      }
 
-    return this.footballEvents[leagueSlug] || [];
+      cache.lastOddsUpdate = new Date();
+      endRefresh({ outcome: signal?.aborted ? 'cancelled' : 'success' });
+      return { sport, events: upcomingEvents.length, fetched, cancelled: Boolean(signal?.aborted) };
+    } catch (error) {
+      endRefresh({ outcome: 'error' });
+      throw error;
+    }
   }
 
-  async fetchFootballOddsForEvent(eventId, bookmakers = FOOTBALL_BOOKMAKERS) {
-    // Fetch one bookmaker at a time to handle the API structure
-    const eventOdds = { bookmakers: {}, cachedAt: new Date() };
+  // ==================== FULL REFRESH ====================
 
-    for (const bookmaker of bookmakers) {
-      if (!this.checkRateLimit()) break;
+  // Options: sports - limit the run to these sport keys; maxAgeMs, signal, onProgress - see refreshSportOdds
+  // Returns { sports: [per-sport results], cancelled }, { skipped } or { error }
+  async refreshAll(options = {}) {
+    if (this.isRefreshing) {
+      console.log('[Cache] Already refreshing, skipping...');
+      metrics.startRefresh('all')({ outcome: 'skipped' });
+      return { skipped: true };
+    }
 
-      const url = `${ODDS_API_BASE}/odds?apiKey=${ODDS_API_KEY}&eventId=${eventId}&bookmakers=${bookmaker}`;
-      const data = await this.fetchWithRateLimit(url, `Football odds ${eventId} - ${bookmaker}`);
+    this.isRefreshing = true;
+    const endRefresh = metrics.startRefresh('all');
+    console.log(`\n========== STARTING FULL REFRESH ==========`);
+    console.log(`[Cache] API calls remaining: ${this.getRemainingCalls()}`);
 
-      if (data && data.bookmakers && data.bookmakers[bookmaker]) {
-        eventOdds.bookmakers[bookmaker] = data.bookmakers[bookmaker];
-        eventOdds.urls = { ...eventOdds.urls, ...data.urls };
-        eventOdds.home = data.home;
-        eventOdds.away = data.away;
-        eventOdds.date = data.date;
+    try {
+      const results = [];
+      for (const sport of options.sports || sportRegistry.keys()) {
+        if (options.signal?.aborted) break;
+        results.push(await this.refreshSportOdds(sport, options));
       }
 
-      await this.sleep(50);
+      const cancelled = Boolean(options.signal?.aborted);
+      console.log(`========== REFRESH ${cancelled ? 'CANCELLED' : 'COMPLETE'} ==========`);
+      console.log(`[Cache] API calls used this hour: ${this.apiCallsThisHour}/${MAX_CALLS_PER_HOUR}`);
+      endRefresh({ outcome: cancelled ? 'cancelled' : 'success' });
+      return { sports: results, cancelled };
+    } catch (error) {
+      console.error('[Cache] Refresh error:', error);
+      this.lastError = { time: new Date(), message: error.message };
+      endRefresh({ outcome: 'error' });
+      return { error: error.message };
+    } finally {
+      this.isRefreshing = false;
     }
-
-    this.footballOdds[eventId] = eventOdds;
-    return eventOdds;
   }
 
-  async refreshFootballOdds() {
-    // Fetch events for all leagues
-    for (const league of FOOTBALL_LEAGUES) {
-      if (!this.checkRateLimit()) break;
-      await this.fetchFootballEvents(league);
-      await this.sleep(100);
+  // ==================== STALENESS & EVICTION ====================
+
+  // Flag bookmaker prices that aged past ODDS_STALE_MINUTES. Returns the newly stale entries
+  markStale(now = Date.now()) {
+    const staleMs = ODDS_STALE_MINUTES * 60 * 1000;
+    const flagged = [];
+
+    for (const sport of sportRegistry.keys()) {
+      for (const [eventId, eventOdds] of Object.entries(this.getSportCache(sport).odds)) {
+        for (const [bookmaker, status] of Object.entries(eventOdds.bookmakerStatus || {})) {
+          if (status.stale || !status.offered || !status.fetchedAt) continue;
+          if (now - new Date(status.fetchedAt).getTime() <= staleMs) continue;
+          status.stale = true;
+          this.getSportCache(sport).lastSweep = new Date(now);
+          flagged.push({ sport, eventId, bookmaker, fetchedAt: status.fetchedAt, reason: 'aged' });
+        }
+      }
     }
 
-    // Collect all upcoming events across leagues
-    const allEvents = [];
-    for (const league of FOOTBALL_LEAGUES) {
-      const events = this.footballEvents[league] || [];
-      allEvents.push(...events.map(e => ({ ...e, league })));
-    }
+    return flagged;
+  }
 
-    // Sort by date, prioritize upcoming
-    const sortedEvents = allEvents.sort((a, b) => new Date(a.date) - new Date(b.date));
+  // Drop events (and their odds) once they are EVENT_EVICT_GRACE_MINUTES past kickoff, and odds of
+  // events that left the upstream list before kickoff (cancelled or postponed). Returns the evicted events
+  evictEvents(now = Date.now()) {
+    const graceMs = EVENT_EVICT_GRACE_MINUTES * 60 * 1000;
+    const evicted = [];
+
+    for (const sport of sportRegistry.keys()) {
+      const cache = this.getSportCache(sport);
+      const listed = new Set();
+
+      const evict = (eventId, league, event, reason) => {
+        const record = {
+          sport,
+          eventId: String(eventId),
+          league,
+          home: event?.home,
+          away: event?.away,
+          date: event?.date,
+          reason,
+          evictedAt: new Date(now)
+        };
+        delete cache.odds[eventId];
+        cache.lastSweep = new Date(now);
+        this.recordEviction(sport, record);
+        evicted.push(record);
+      };
 
-    // Only fetch odds for matches in the next 3 days
-    const threeDaysFromNow = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-    const upcomingEvents = sortedEvents.filter(e => new Date(e.date) <= threeDaysFromNow);
+      const live = new Set(Object.values(cache.live).flat().map(event => String(event.id)));
+      for (const [league, events] of Object.entries(cache.events)) {
+        cache.events[league] = events.filter(event => {
+          if (now - new Date(event.date).getTime() > graceMs && !live.has(String(event.id))) {
+            evict(event.id, league, event, 'finished');
+            return false;
+          }
+          listed.add(String(event.id));
+          return true;
+        });
+      }
 
-    console.log(`[Football] Refreshing odds for ${upcomingEvents.length} upcoming events...`);
+      // In-play events stay however long they run
+      for (const events of Object.values(cache.live)) {
+        for (const event of events) listed.add(String(event.id));
+      }
 
-    for (const event of upcomingEvents) {
-      if (!this.checkRateLimit()) {
-        console.log('[Football] Rate limit reached, stopping refresh');
-        break;
+      for (const [eventId, eventOdds] of Object.entries(cache.odds)) {
+        if (listed.has(eventId)) continue;
+        // Started events leave the (pending) upstream list at kickoff - keep them through the grace period
+        const startsAt = new Date(eventOdds.date).getTime();
+        if (startsAt <= now && now - startsAt <= graceMs) continue;
+        evict(eventId, null, eventOdds, startsAt <= now ? 'finished' : 'dropped');
       }
-      await this.fetchFootballOddsForEvent(event.id);
-      await this.sleep(100);
     }
 
-    this.lastFootballOddsUpdate = new Date();
+    if (evicted.length > 0) {
+      console.log(`[Cache] Evicted ${evicted.length} events (${evicted.map(e => `${e.sport}/${e.eventId} ${e.reason}`).join(', ')})`);
+    }
+    return evicted;
   }
 
-  // ==================== FULL REFRESH ====================
+  // Forget a league that was removed or disabled: its event lists and the odds of its events.
+  // Returns the eviction records
+  dropLeague(sport, league, now = Date.now()) {
+    const cache = this.getSportCache(sport);
+    const events = [...(cache.events[league] || []), ...(cache.live[league] || [])];
+    const evicted = [];
+
+    for (const event of events) {
+      if (!cache.odds[event.id]) continue;
+      const record = {
+        sport,
+        eventId: String(event.id),
+        league,
+        home: event.home,
+        away: event.away,
+        date: event.date,
+        reason: 'league_removed',
+        evictedAt: new Date(now)
+      };
+      delete cache.odds[event.id];
+      this.recordEviction(sport, record);
+      evicted.push(record);
+    }
 
-  async refreshAll() {
-    if (this.isRefreshing) {
-      console.log('[Cache] Already refreshing, skipping...');
-      return;
+    delete cache.events[league];
+    delete cache.live[league];
+    delete cache.lastEventsUpdate[league];
+    delete cache.lastLiveUpdate[league];
+    cache.lastSweep = new Date(now);
+    console.log(`[Cache] Dropped ${sport} league ${league} (${evicted.length} events with odds)`);
+    return evicted;
+  }
+
+  // Strip a removed or disabled bookmaker from the cached odds. Returns the IDs of the events changed
+  dropBookmaker(sport, bookmaker) {
+    const cache = this.getSportCache(sport);
+    const changed = [];
+
+    for (const [eventId, eventOdds] of Object.entries(cache.odds)) {
+      if (!eventOdds.bookmakers?.[bookmaker] && !eventOdds.bookmakerStatus?.[bookmaker]) continue;
+      // New object, so the normalized view is rebuilt
+      const updated = { ...eventOdds };
+      for (const field of ['bookmakers', 'bookmakerStatus', 'urls']) {
+        if (!eventOdds[field]) continue;
+        updated[field] = { ...eventOdds[field] };
+        delete updated[field][bookmaker];
+      }
+      cache.odds[eventId] = updated;
+      changed.push(eventId);
     }
+    if (changed.length > 0) cache.lastSweep = new Date();
 
-    this.isRefreshing = true;
-    console.log(`\n========== STARTING FULL REFRESH ==========`);
-    console.log(`[Cache] API calls remaining: ${this.getRemainingCalls()}`);
+    console.log(`[Cache] Dropped ${sport} bookmaker ${bookmaker} from ${changed.length} events`);
+    return changed;
+  }
 
-    try {
-      // Fetch NBA
-      await this.fetchNbaEvents();
-      await this.refreshNbaOdds();
+  recordEviction(sport, record) {
+    if (!this.evicted[sport]) this.evicted[sport] = new Map();
+    const log = this.evicted[sport];
+    log.delete(record.eventId);
+    log.set(record.eventId, record);
+    if (log.size > EVICTED_LOG_SIZE) log.delete(log.keys().next().value);
+  }
 
-      // Fetch Football
-      await this.refreshFootballOdds();
+  // Eviction record for one event, or the recent evictions of a sport (newest first)
+  getEvicted(sport, eventId) {
+    const log = this.evicted[sport] || new Map();
+    if (eventId !== undefined) return log.get(String(eventId)) || null;
+    return [...log.values()].reverse();
+  }
 
-      console.log(`========== REFRESH COMPLETE ==========`);
-      console.log(`[Cache] API calls used this hour: ${this.apiCallsThisHour}/${MAX_CALLS_PER_HOUR}`);
-    } catch (error) {
-      console.error('[Cache] Refresh error:', error);
-      this.lastError = { time: new Date(), message: error.message };
-    } finally {
-      this.isRefreshing = false;
-    }
+  // Per-bookmaker price age and staleness for every cached event of a sport
+  getFreshness(sport, now = Date.now()) {
+    const events = Object.entries(this.getSportCache(sport).odds).map(([eventId, eventOdds]) => {
+      const bookmakers = {};
+      for (const [bookmaker, status] of Object.entries(eventOdds.bookmakerStatus || {})) {
+        bookmakers[bookmaker] = {
+          ...status,
+          ageSeconds: status.fetchedAt ? Math.round((now - new Date(status.fetchedAt).getTime()) / 1000) : null
+        };
+      }
+      return {
+        eventId,
+        home: eventOdds.home,
+        away: eventOdds.away,
+        date: eventOdds.date,
+        cachedAt: eventOdds.cachedAt,
+        stale: Object.values(bookmakers).some(status => status.stale),
+        bookmakers
+      };
+    });
+
+    return {
+      staleAfterMinutes: ODDS_STALE_MINUTES,
+      evictGraceMinutes: EVENT_EVICT_GRACE_MINUTES,
+      eventCount: events.length,
+      staleEvents: events.filter(event => event.stale).length,
+      events,
+      evicted: this.getEvicted(sport)
+    };
   }
 
   // ==================== GETTERS ====================
 
-  getNbaEvents() {
+  // Single-league sports return a flat list, others group events by league unless one is given
+  getEvents(sport, leagueSlug) {
+    const cache = this.getSportCache(sport);
+    const league = leagueSlug || (sportRegistry.isSingleLeague(sport) ? sportRegistry.get(sport).leagues[0] : null);
+
+    if (league) {
+      return {
+        events: cache.events[league] || [],
+        lastUpdate: cache.lastEventsUpdate[league] || null,
+        count: (cache.events[league] || []).length
+      };
+    }
+
     return {
-      events: this.nbaEvents,
-      lastUpdate: this.lastNbaEventsUpdate,
-      count: this.nbaEvents.length
+      events: cache.events,
+      lastUpdate: cache.lastEventsUpdate,
+      leagues: Object.keys(cache.events)
     };
   }
 
-  getNbaOdds(eventId) {
+  getOdds(sport, eventId) {
+    const { odds } = this.getSportCache(sport);
     if (eventId) {
-      return this.nbaOdds[eventId] || null;
+      return odds[eventId] || null;
     }
-    return this.nbaOdds;
+    return odds;
   }
 
-  getAllNbaOdds() {
+  getAllOdds(sport) {
+    const cache = this.getSportCache(sport);
     return {
-      odds: this.nbaOdds,
-      lastUpdate: this.lastNbaOddsUpdate,
-      eventCount: Object.keys(this.nbaOdds).length
+      odds: cache.odds,
+      lastUpdate: cache.lastOddsUpdate,
+      eventCount: Object.keys(cache.odds).length
     };
   }
 
-  getFootballEvents(leagueSlug) {
-    if (leagueSlug) {
-      return {
-        events: this.footballEvents[leagueSlug] || [],
-        lastUpdate: this.lastFootballEventsUpdate[leagueSlug],
-        count: (this.footballEvents[leagueSlug] || []).length
-      };
+  // The event's odds without bookmakers whose prices are stale (kept from a failed refetch or aged
+  // out), for EV, arbs and alerts, which must only act on current prices
+  withoutStale(eventOdds) {
+    const stale = Object.entries(eventOdds?.bookmakerStatus || {}).filter(([, status]) => status.stale).map(([bookmaker]) => bookmaker);
+    if (stale.length === 0) return eventOdds;
+
+    const bookmakers = { ...eventOdds.bookmakers };
+    for (const bookmaker of stale) delete bookmakers[bookmaker];
+    return { ...eventOdds, bookmakers };
+  }
+
+  // Odds of every event (or one) without stale bookmakers, for views that compare books' current prices
+  getCurrentOdds(sport, eventId) {
+    if (eventId) return this.withoutStale(this.getOdds(sport, eventId));
+    const odds = {};
+    for (const [id, eventOdds] of Object.entries(this.getOdds(sport))) {
+      odds[id] = this.withoutStale(eventOdds);
     }
+    return odds;
+  }
 
-    return {
-      events: this.footballEvents,
-      lastUpdate: this.lastFootballEventsUpdate,
-      leagues: Object.keys(this.footballEvents)
-    };
+  getLastSweep(sport) {
+    return this.getSportCache(sport).lastSweep;
   }
 
-  getFootballOdds(eventId) {
-    if (eventId) {
-      return this.footballOdds[eventId] || null;
+  // Odds in the canonical market/outcome model (see services/normalizer.js)
+  getNormalizedOdds(sport, eventId) {
+    const eventOdds = this.getOdds(sport, eventId);
+    if (!eventOdds) return null;
+    if (!this.normalized.has(eventOdds)) {
+      this.normalized.set(eventOdds, normalizeEventOdds(eventOdds));
+    }
+    return this.normalized.get(eventOdds);
+  }
+
+  // Normalized odds without stale bookmakers. Only the unfiltered view is memoized - staleness
+  // is flagged in place, so a filtered copy can't be keyed on the cached object
+  getCurrentNormalizedOdds(sport, eventId) {
+    const eventOdds = this.getOdds(sport, eventId);
+    if (!eventOdds) return null;
+    const current = this.withoutStale(eventOdds);
+    return current === eventOdds ? this.getNormalizedOdds(sport, eventId) : normalizeEventOdds(current);
+  }
+
+  getAllNormalizedOdds(sport) {
+    const all = this.getAllOdds(sport);
+    const odds = {};
+    for (const eventId of Object.keys(all.odds)) {
+      odds[eventId] = this.getNormalizedOdds(sport, eventId);
+    }
+    return { ...all, format: 'normalized', odds };
+  }
+
+  // League slug a cached event belongs to
+  getLeague(sport, eventId) {
+    const cache = this.getSportCache(sport);
+    for (const lists of [cache.events, cache.live]) {
+      for (const [league, events] of Object.entries(lists)) {
+        if (events.some(e => String(e.id) === String(eventId))) return league;
+      }
     }
-    return this.footballOdds;
+    return null;
   }
 
-  getAllFootballOdds() {
+  isLive(sport, eventId) {
+    return Object.values(this.getSportCache(sport).live).some(events => events.some(e => String(e.id) === String(eventId)));
+  }
+
+  // In-play events across leagues (or one league), tagged with their league
+  getLiveEvents(sport, leagueSlug) {
+    const cache = this.getSportCache(sport);
+    const leagues = leagueSlug ? [leagueSlug] : Object.keys(cache.live);
+    const events = leagues.flatMap(league => (cache.live[league] || []).map(event => ({ ...event, league })));
+    const updates = leagues.map(league => cache.lastLiveUpdate[league]).filter(Boolean);
     return {
-      odds: this.footballOdds,
-      lastUpdate: this.lastFootballOddsUpdate,
-      eventCount: Object.keys(this.footballOdds).length
+      events,
+      lastUpdate: updates.length > 0 ? new Date(Math.max(...updates)) : null,
+      count: events.length
     };
   }
 
   getStatus() {
-    return {
+    const status = {
       apiCallsThisHour: this.apiCallsThisHour,
       maxCallsPerHour: MAX_CALLS_PER_HOUR,
       remainingCalls: this.getRemainingCalls(),
       isRefreshing: this.isRefreshing,
       lastError: this.lastError,
-      nba: {
-        eventsCount: this.nbaEvents.length,
-        oddsCount: Object.keys(this.nbaOdds).length,
-        lastEventsUpdate: this.lastNbaEventsUpdate,
-        lastOddsUpdate: this.lastNbaOddsUpdate
-      },
-      football: {
-        leagues: Object.keys(this.footballEvents),
-        eventsCount: Object.values(this.footballEvents).flat().length,
-        oddsCount: Object.keys(this.footballOdds).length,
-        lastOddsUpdate: this.lastFootballOddsUpdate
-      }
+      upstream: { ...fetchPool.getStatus(), provider: upstreamProvider.getStatus() }
     };
+
+    for (const sport of sportRegistry.keys()) {
+      const cache = this.getSportCache(sport);
+      const eventUpdates = Object.values(cache.lastEventsUpdate).filter(Boolean);
+      status[sport] = {
+        leagues: Object.keys(cache.events),
+        eventsCount: Object.values(cache.events).flat().length,
+        oddsCount: Object.keys(cache.odds).length,
+        staleEvents: Object.values(cache.odds)
+          .filter(eventOdds => Object.values(eventOdds.bookmakerStatus || {}).some(status => status.stale)).length,
+        evictedEvents: this.evicted[sport]?.size || 0,
+        liveEvents: Object.values(cache.live).flat().length,
+        lastEventsUpdate: eventUpdates.length > 0 ? new Date(Math.max(...eventUpdates)) : null,
+        lastOddsUpdate: cache.lastOddsUpdate
+      };
+    }
+
+    return status;
+  }
+
+  // ==================== SNAPSHOTS ====================
+
+  // Plain-object copy of the cache state for persistence
+  toSnapshot() {
+    return {
+      sports: this.sports,
+      apiCallsThisHour: this.apiCallsThisHour,
+      hourStartTime: this.hourStartTime
+    };
+  }
+
+  // Load state written by toSnapshot(); restored odds are flagged until they are refetched
+  restoreSnapshot(snapshot) {
+    const toDate = (value) => (value ? new Date(value) : null);
+
+    for (const [sport, saved] of Object.entries(snapshot.sports || {})) {
+      // Sports removed from the registry since the snapshot was taken are dropped
+      if (!sportRegistry.has(sport)) continue;
+
+      // Leagues removed or disabled since the snapshot was taken are dropped too
+      const { leagues } = sportRegistry.get(sport);
+      const cache = this.createSportCache();
+      const keptLeagues = (lists) => Object.fromEntries(Object.entries(lists || {}).filter(([league]) => leagues.includes(league)));
+      cache.events = keptLeagues(saved.events);
+      // Odds of the kept leagues' events (in-play ones included), matched through the saved lists
+      const kept = new Set([...Object.values(cache.events), ...Object.values(keptLeagues(saved.live))]
+        .flat()
+        .map(event => String(event.id)));
+      cache.odds = Object.fromEntries(Object.entries(saved.odds || {}).filter(([eventId]) => kept.has(eventId)));
+      cache.lastOddsUpdate = toDate(saved.lastOddsUpdate);
+      cache.lastSweep = toDate(saved.lastSweep);
+      for (const [league, value] of Object.entries(saved.lastEventsUpdate || {})) {
+        if (leagues.includes(league)) cache.lastEventsUpdate[league] = toDate(value);
+      }
+      for (const eventOdds of Object.values(cache.odds)) {
+        eventOdds.restored = true;
+      }
+      this.sports[sport] = cache;
+    }
+
+    // Keep counting against the same hour if the snapshot is from it
+    if (snapshot.hourStartTime && Date.now() - snapshot.hourStartTime < 60 * 60 * 1000) {
+      this.apiCallsThisHour = snapshot.apiCallsThisHour || 0;
+      this.hourStartTime = snapshot.hourStartTime;
+    }
   }
 
   // Utility
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  isFresh(timestamp, maxAgeMs) {
+    if (!maxAgeMs || !timestamp) return false;
+    return Date.now() - new Date(timestamp).getTime() < maxAgeMs;
   }
 }
 
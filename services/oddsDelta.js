@@ -0,0 +1,142 @@
+// services/oddsDelta.js
+// Per-event versioning and diffing so WebSocket clients only receive what changed
+
+const sportRegistry = require('./sportRegistry');
+
+// Removed events remembered per sport for resuming clients; older resumes get a full snapshot
+const ODDS_DELTA_MAX_TOMBSTONES = parseInt(process.env.ODDS_DELTA_MAX_TOMBSTONES) || 1000;
+
+class OddsDelta {
+  constructor() {
+    // Versions restart on every boot, so clients must also match the epoch to resume
+    this.epoch = Date.now();
+
+    // { sport: number } - bumped on every change within the sport
+    this.versions = {};
+
+    // { sport: { eventId: { version, markets: { bookmaker: { marketName: json } } } } }
+    this.state = {};
+
+    // { sport: [{ eventId, version }] } - forgotten events, oldest first
+    this.tombstones = {};
+    // { sport: number } - version of the newest tombstone dropped to stay within the bound
+    this.tombstoneFloor = {};
+
+    for (const sport of sportRegistry.keys()) {
+      this.initSport(sport);
+    }
+  }
+
+  initSport(sport) {
+    this.versions[sport] = 0;
+    this.state[sport] = {};
+    this.tombstones[sport] = [];
+    this.tombstoneFloor[sport] = 0;
+  }
+
+  // Serialize an eventOdds into comparable per bookmaker/market strings
+  fingerprint(eventOdds) {
+    const markets = {};
+    for (const [bookmaker, bookmakerMarkets] of Object.entries(eventOdds?.bookmakers || {})) {
+      markets[bookmaker] = {};
+      for (const market of bookmakerMarkets || []) {
+        markets[bookmaker][market.name] = JSON.stringify(market);
+      }
+    }
+    return markets;
+  }
+
+  // Compare freshly fetched odds against the last seen state and return a delta (or null)
+  apply(sport, eventId, eventOdds) {
+    if (!this.state[sport]) this.initSport(sport);
+
+    const previous = this.state[sport][eventId]?.markets || {};
+    const next = this.fingerprint(eventOdds);
+
+    const changed = {};
+    const removed = {};
+
+    for (const [bookmaker, markets] of Object.entries(next)) {
+      for (const [marketName, json] of Object.entries(markets)) {
+        if (previous[bookmaker]?.[marketName] !== json) {
+          if (!changed[bookmaker]) changed[bookmaker] = {};
+          changed[bookmaker][marketName] = JSON.parse(json);
+        }
+      }
+    }
+
+    for (const [bookmaker, markets] of Object.entries(previous)) {
+      for (const marketName of Object.keys(markets)) {
+        if (next[bookmaker]?.[marketName] === undefined) {
+          if (!removed[bookmaker]) removed[bookmaker] = [];
+          removed[bookmaker].push(marketName);
+        }
+      }
+    }
+
+    if (Object.keys(changed).length === 0 && Object.keys(removed).length === 0) {
+      return null;
+    }
+
+    // A re-added event is no longer removed for resuming clients
+    if (!this.state[sport][eventId]) {
+      this.tombstones[sport] = this.tombstones[sport].filter(entry => entry.eventId !== String(eventId));
+    }
+
+    const version = ++this.versions[sport];
+    this.state[sport][eventId] = { version, markets: next };
+
+    return {
+      sport,
+      eventId,
+      epoch: this.epoch,
+      version,
+      home: eventOdds.home,
+      away: eventOdds.away,
+      date: eventOdds.date,
+      cachedAt: eventOdds.cachedAt,
+      changed,
+      removed
+    };
+  }
+
+  // Drop an evicted event's state - its removal is announced separately (`eventsEvicted`) and
+  // kept as a versioned tombstone so resuming clients learn of it too
+  forget(sport, eventId) {
+    if (!this.state[sport]) this.initSport(sport);
+    delete this.state[sport][eventId];
+
+    const tombstones = this.tombstones[sport];
+    tombstones.push({ eventId: String(eventId), version: ++this.versions[sport] });
+    if (tombstones.length > ODDS_DELTA_MAX_TOMBSTONES) {
+      this.tombstoneFloor[sport] = tombstones.splice(0, tombstones.length - ODDS_DELTA_MAX_TOMBSTONES).pop().version;
+    }
+  }
+
+  // Current version markers, sent with snapshots so clients can resume later
+  getVersions() {
+    return { epoch: this.epoch, ...this.versions };
+  }
+
+  // Event IDs that changed or were removed after the given version
+  // (null = client must take a full snapshot, e.g. its removals were already pruned)
+  changedSince(sport, version, epoch) {
+    if (epoch !== this.epoch) return null;
+    if (!Number.isFinite(version) || version > (this.versions[sport] || 0)) return null;
+    if (version < (this.tombstoneFloor[sport] || 0)) return null;
+
+    return {
+      changed: Object.entries(this.state[sport] || {})
+        .filter(([, entry]) => entry.version > version)
+        .map(([eventId]) => eventId),
+      removed: (this.tombstones[sport] || [])
+        .filter(entry => entry.version > version)
+        .map(entry => entry.eventId)
+    };
+  }
+}
+
+// Singleton instance
+const oddsDelta = new OddsDelta();
+
+module.exports = oddsDelta;
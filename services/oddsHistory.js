@@ -0,0 +1,156 @@
+// services/oddsHistory.js
+// Line-movement history - records price changes per event, bookmaker, market and outcome
+
+const { extractLines } = require('./markets');
+
+// Keep history until this long after an event has started
+const HISTORY_GRACE_MINUTES = parseInt(process.env.HISTORY_GRACE_MINUTES) || 180;
+// Hard cap on recorded changes per outcome
+const HISTORY_MAX_POINTS = parseInt(process.env.HISTORY_MAX_POINTS) || 500;
+
+class OddsHistory {
+  constructor() {
+    // { sport: { eventId: { startsAt, series: { seriesKey: series } } } }
+    this.events = {};
+  }
+
+  // Record the prices in a freshly fetched eventOdds, only keeping changes
+  record(sport, eventId, eventOdds) {
+    if (!eventOdds?.bookmakers) return 0;
+    if (!this.events[sport]) this.events[sport] = {};
+
+    const at = eventOdds.cachedAt || new Date();
+    let entry = this.events[sport][eventId];
+    if (!entry) {
+      entry = { startsAt: null, series: {} };
+      this.events[sport][eventId] = entry;
+    }
+    if (eventOdds.date) entry.startsAt = new Date(eventOdds.date);
+
+    let changes = 0;
+    for (const [bookmaker, markets] of Object.entries(eventOdds.bookmakers)) {
+      for (const [lineKey, line] of Object.entries(extractLines(markets))) {
+        for (const [outcome, price] of Object.entries(line.prices)) {
+          const seriesKey = `${bookmaker}|${lineKey}|${outcome}`;
+          let series = entry.series[seriesKey];
+          if (!series) {
+            series = {
+              bookmaker,
+              market: line.market,
+              hdp: line.hdp,
+              label: line.label,
+              outcome,
+              points: []
+            };
+            entry.series[seriesKey] = series;
+          }
+
+          const last = series.points[series.points.length - 1];
+          if (last && last.price === price) continue;
+
+          series.points.push({ price, at });
+          // Always keep the opening price when trimming
+          if (series.points.length > HISTORY_MAX_POINTS) {
+            series.points.splice(1, 1);
+          }
+          changes++;
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  // Drop history for events that started more than the grace window ago
+  prune(now = Date.now()) {
+    const graceMs = HISTORY_GRACE_MINUTES * 60 * 1000;
+    let removed = 0;
+
+    for (const events of Object.values(this.events)) {
+      for (const [eventId, entry] of Object.entries(events)) {
+        if (entry.startsAt && now - entry.startsAt.getTime() > graceMs) {
+          delete events[eventId];
+          removed++;
+        }
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`[History] Pruned ${removed} finished events`);
+    }
+    return removed;
+  }
+
+  // Opening, current and intermediate prices with change summaries
+  getEventHistory(sport, eventId, { bookmaker, market, outcome } = {}) {
+    const entry = this.events[sport]?.[eventId];
+    if (!entry) return null;
+
+    const series = Object.values(entry.series)
+      .filter(s => !bookmaker || s.bookmaker === bookmaker)
+      .filter(s => !market || s.market === market)
+      .filter(s => !outcome || s.outcome === outcome)
+      .map(s => {
+        const opening = s.points[0];
+        const current = s.points[s.points.length - 1];
+        const prices = s.points.map(p => p.price);
+        return {
+          bookmaker: s.bookmaker,
+          market: s.market,
+          hdp: s.hdp,
+          label: s.label,
+          outcome: s.outcome,
+          opening,
+          current,
+          high: Math.max(...prices),
+          low: Math.min(...prices),
+          changes: s.points.length - 1,
+          change: current.price - opening.price,
+          changePct: ((current.price - opening.price) / opening.price) * 100,
+          points: s.points
+        };
+      });
+
+    return {
+      sport,
+      eventId,
+      startsAt: entry.startsAt,
+      seriesCount: series.length,
+      series
+    };
+  }
+
+  // Event ids with recorded history
+  getEventIds(sport) {
+    return Object.keys(this.events[sport] || {});
+  }
+
+  // When the event starts, per its recorded history (null when nothing was recorded)
+  getStartsAt(sport, eventId) {
+    return this.events[sport]?.[eventId]?.startsAt ?? null;
+  }
+
+  // Raw recorded series of an event ({ startsAt, series: [{ bookmaker, market, hdp, label, outcome, points }] })
+  getSeries(sport, eventId) {
+    const entry = this.events[sport]?.[eventId];
+    return entry ? { startsAt: entry.startsAt, series: Object.values(entry.series) } : null;
+  }
+
+  getStatus() {
+    const status = {};
+    for (const [sport, events] of Object.entries(this.events)) {
+      const series = Object.values(events).flatMap(e => Object.values(e.series));
+      status[sport] = {
+        events: Object.keys(events).length,
+        series: series.length,
+        points: series.reduce((sum, s) => sum + s.points.length, 0)
+      };
+    }
+    return status;
+  }
+}
+
+// Singleton instance
+const oddsHistory = new OddsHistory();
+
+module.exports = oddsHistory;
@@ -0,0 +1,115 @@
+// services/persistence.js
+// Snapshots the odds cache to disk so restarts can warm-start instead of refetching everything
+
+const fs = require('fs');
+const path = require('path');
+
+const PERSIST_PATH = process.env.PERSIST_PATH || path.join(__dirname, '..', 'data', 'odds-cache.json');
+const PERSIST_INTERVAL_SECONDS = parseInt(process.env.PERSIST_INTERVAL_SECONDS) || 60;
+// Restored data younger than this is served as-is and skipped by the startup refresh
+const PERSIST_MAX_AGE_MINUTES = parseInt(process.env.PERSIST_MAX_AGE_MINUTES) || 10;
+
+const SNAPSHOT_VERSION = 2;
+
+class Persistence {
+  constructor() {
+    this.path = PERSIST_PATH;
+    this.maxAgeMs = PERSIST_MAX_AGE_MINUTES * 60 * 1000;
+    this.timer = null;
+    this.saving = null; // in-flight save
+    this.lastSave = null;
+    this.lastLoad = null;
+    this.lastError = null;
+  }
+
+  // Synchronously load a snapshot into the cache - returns false when there is nothing usable
+  load(cache) {
+    if (!fs.existsSync(this.path)) {
+      console.log(`[Persist] No snapshot at ${this.path}, starting cold`);
+      return false;
+    }
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        console.log(`[Persist] Ignoring snapshot with version ${snapshot.version}`);
+        return false;
+      }
+
+      cache.restoreSnapshot(snapshot.cache);
+
+      const savedAt = new Date(snapshot.savedAt);
+      const odds = Object.keys(cache.sports).flatMap(sport => Object.values(cache.getOdds(sport)));
+      const fresh = odds.filter(o => cache.isFresh(o.cachedAt, this.maxAgeMs)).length;
+
+      this.lastLoad = { time: new Date(), savedAt, events: odds.length, fresh, stale: odds.length - fresh };
+      console.log(`[Persist] Restored snapshot from ${savedAt.toISOString()} (${fresh} fresh, ${odds.length - fresh} stale events)`);
+      return true;
+    } catch (error) {
+      console.error(`[Persist] Failed to load snapshot: ${error.message}`);
+      this.lastError = { time: new Date(), message: error.message };
+      return false;
+    }
+  }
+
+  // Periodic saves are skipped (and get the in-flight one back) while a save is running. A final
+  // save (shutdown) waits for it and then writes again, so the latest state always lands
+  save(cache, { final = false } = {}) {
+    if (this.saving) {
+      return final ? this.saving.then(() => this.save(cache, { final })) : this.saving;
+    }
+    this.saving = this.write(cache).finally(() => {
+      this.saving = null;
+    });
+    return this.saving;
+  }
+
+  // Write the snapshot to a temp file and rename it, so a crash never leaves half a file
+  async write(cache) {
+    try {
+      const snapshot = {
+        version: SNAPSHOT_VERSION,
+        savedAt: new Date(),
+        cache: cache.toSnapshot()
+      };
+
+      const tmpPath = `${this.path}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+      await fs.promises.rename(tmpPath, this.path);
+      this.lastSave = snapshot.savedAt;
+    } catch (error) {
+      console.error(`[Persist] Failed to save snapshot: ${error.message}`);
+      this.lastError = { time: new Date(), message: error.message };
+    }
+  }
+
+  // Save periodically until stop() is called
+  start(cache) {
+    this.stop();
+    this.timer = setInterval(() => this.save(cache), PERSIST_INTERVAL_SECONDS * 1000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      path: this.path,
+      intervalSeconds: PERSIST_INTERVAL_SECONDS,
+      maxAgeMinutes: PERSIST_MAX_AGE_MINUTES,
+      lastSave: this.lastSave,
+      lastLoad: this.lastLoad,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Singleton instance
+const persistence = new Persistence();
+
+module.exports = persistence;
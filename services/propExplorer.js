@@ -0,0 +1,134 @@
+// services/propExplorer.js
+// Player-prop index across bookmakers - every book's line and prices per player and stat
+
+const { toDecimalPrice } = require('./devig');
+const { marketType, parsePlayerLabel, parseLine } = require('./normalizer');
+
+// DFS pick'em books post lines without real prices - they're priced at PROPS_DFS_IMPLIED_PRICE
+const PROPS_DFS_BOOKMAKERS = (process.env.PROPS_DFS_BOOKMAKERS || 'PrizePicks,Underdog')
+  .split(',').map(b => b.trim()).filter(Boolean);
+// Decimal price per side of a DFS pick (1.87 ≈ -115)
+const PROPS_DFS_IMPLIED_PRICE = parseFloat(process.env.PROPS_DFS_IMPLIED_PRICE) || 1.87;
+
+// Case- and accent-insensitive, so "jokic" finds "Nikola Jokić"
+const foldName = (value) => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Most common line wins; ties go to the line closest to the median
+const consensusLine = (lines) => {
+  const counts = {};
+  for (const line of lines) counts[line] = (counts[line] || 0) + 1;
+
+  const sorted = [...lines].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const top = Math.max(...Object.values(counts));
+
+  return Object.keys(counts)
+    .filter(line => counts[line] === top)
+    .map(Number)
+    .sort((a, b) => Math.abs(a - median) - Math.abs(b - median) || a - b)[0];
+};
+
+class PropExplorer {
+  constructor() {
+    this.dfsBookmakers = PROPS_DFS_BOOKMAKERS;
+    this.dfsImpliedPrice = PROPS_DFS_IMPLIED_PRICE;
+
+    // Parsed props keyed by the cached eventOdds object, so a refetch invalidates them
+    this.parsed = new WeakMap();
+  }
+
+  // Every player line in one event: { 'player|stat': { player, stat, books: [...] } }
+  parseEvent(eventOdds) {
+    if (this.parsed.has(eventOdds)) return this.parsed.get(eventOdds);
+
+    const props = {};
+    for (const [bookmaker, markets] of Object.entries(eventOdds?.bookmakers || {})) {
+      const dfs = this.dfsBookmakers.includes(bookmaker);
+
+      for (const market of Array.isArray(markets) ? markets : []) {
+        for (const entry of market.odds || []) {
+          if (marketType(market.name, entry) !== 'player_prop') continue;
+          const parsed = parsePlayerLabel(entry.label);
+          const line = parseLine(entry.hdp);
+          if (!parsed || line === null) continue;
+
+          const over = dfs ? this.dfsImpliedPrice : toDecimalPrice(entry.over);
+          const under = dfs ? this.dfsImpliedPrice : toDecimalPrice(entry.under);
+          if (!over && !under) continue;
+
+          const key = `${foldName(parsed.player)}|${parsed.stat}`;
+          if (!props[key]) props[key] = { player: parsed.player, stat: parsed.stat, books: [] };
+          props[key].books.push({ bookmaker, line, over, under, implied: dfs });
+        }
+      }
+    }
+
+    this.parsed.set(eventOdds, props);
+    return props;
+  }
+
+  // Props across the given events. Filters: player (contains), stat (exact), eventId, bookmaker, differsOnly
+  search(oddsByEvent, { player, stat, eventId, bookmaker, differsOnly = false } = {}) {
+    const results = [];
+
+    for (const [id, eventOdds] of Object.entries(oddsByEvent)) {
+      if (eventId && String(id) !== String(eventId)) continue;
+
+      for (const prop of Object.values(this.parseEvent(eventOdds))) {
+        if (player && !foldName(prop.player).includes(foldName(player))) continue;
+        if (stat && prop.stat !== stat.toLowerCase()) continue;
+
+        const consensus = consensusLine(prop.books.map(book => book.line));
+        const books = prop.books
+          .map(book => ({
+            ...book,
+            lineDiff: Math.round((book.line - consensus) * 100) / 100,
+            differsFromConsensus: book.line !== consensus
+          }))
+          .filter(book => !bookmaker || book.bookmaker === bookmaker)
+          .sort((a, b) => a.line - b.line || (b.over || 0) - (a.over || 0));
+
+        const differing = books.filter(book => book.differsFromConsensus).length;
+        if (books.length === 0 || (differsOnly && differing === 0)) continue;
+
+        results.push({
+          eventId: id,
+          home: eventOdds.home,
+          away: eventOdds.away,
+          date: eventOdds.date,
+          player: prop.player,
+          stat: prop.stat,
+          consensusLine: consensus,
+          bookCount: prop.books.length,
+          differing,
+          books
+        });
+      }
+    }
+
+    return results.sort((a, b) =>
+      new Date(a.date) - new Date(b.date) || a.player.localeCompare(b.player) || a.stat.localeCompare(b.stat));
+  }
+
+  // Players with props and the stats offered for each, for building pickers
+  getPlayers(oddsByEvent) {
+    const players = {};
+    for (const [eventId, eventOdds] of Object.entries(oddsByEvent)) {
+      for (const prop of Object.values(this.parseEvent(eventOdds))) {
+        const key = foldName(prop.player);
+        if (!players[key]) players[key] = { player: prop.player, stats: new Set(), eventIds: new Set() };
+        players[key].stats.add(prop.stat);
+        players[key].eventIds.add(eventId);
+      }
+    }
+
+    return Object.values(players)
+      .map(p => ({ player: p.player, stats: [...p.stats].sort(), eventIds: [...p.eventIds] }))
+      .sort((a, b) => a.player.localeCompare(b.player));
+  }
+}
+
+// Singleton instance
+const propExplorer = new PropExplorer();
+
+module.exports = propExplorer;
@@ -0,0 +1,216 @@
+// services/refreshJobs.js
+// Refresh jobs - full or per-sport refreshes with ids, queued with per-sport locking,
+// duplicate requests coalesced, progress reporting and clean cancellation
+
+const crypto = require('crypto');
+const sportRegistry = require('./sportRegistry');
+const oddsCache = require('./oddsCache');
+
+// Finished jobs kept for GET /api/jobs/:id
+const JOB_HISTORY_SIZE = parseInt(process.env.JOB_HISTORY_SIZE) || 100;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+// Full refreshes also hold this lock, so two of them never overlap (oddsCache.refreshAll skips)
+const ALL_LOCK = '*';
+
+class RefreshJobs {
+  constructor() {
+    this.jobs = new Map(); // { jobId: job }, oldest first
+    this.queue = []; // queued jobs in request order
+    this.locks = new Set(); // sport keys (and ALL_LOCK) held by running jobs
+    this.controllers = new Map(); // { jobId: AbortController } of running jobs
+  }
+
+  // ==================== REQUESTS ====================
+
+  // Queue a refresh of one sport (type = sport key) or a full one (type 'all', optionally limited
+  // to `sports`). A queued or running job that already covers the request is returned instead
+  request({ type = 'all', sports, maxAgeMs = null, source = 'api', requestedBy = null } = {}) {
+    const jobSports = type === 'all' ? (sports || sportRegistry.keys()) : [type];
+
+    // A full refetch covers a warm-start one, not the other way round
+    const covering = this.getJobs().find(job =>
+      ACTIVE_STATUSES.includes(job.status) && !job.cancelRequested &&
+      jobSports.every(sport => this.pendingSports(job).includes(sport)) &&
+      (!job.maxAgeMs || job.maxAgeMs === maxAgeMs));
+    if (covering) {
+      covering.requests++;
+      console.log(`[Jobs] ${source} refresh (${jobSports.join(', ')}) coalesced into ${covering.id}`);
+      return covering;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      sports: jobSports,
+      maxAgeMs,
+      source,
+      requestedBy,
+      status: 'queued',
+      requests: 1,
+      cancelRequested: false,
+      progress: null,
+      callsUsed: 0,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    console.log(`[Jobs] Queued ${job.id}: ${type} refresh (${jobSports.join(', ')}) from ${source}`);
+    this.notify(job);
+    this.pump();
+    return job;
+  }
+
+  // Stop a queued job, or ask a running one to stop before its next event.
+  // Returns the job, or null when it is unknown or already finished
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return null;
+
+    if (job.status === 'queued') {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.finishedAt = new Date();
+      this.pump();
+    } else {
+      job.cancelRequested = true;
+      this.controllers.get(id)?.abort();
+    }
+    console.log(`[Jobs] Cancel requested for ${id} (${job.status})`);
+    this.notify(job);
+    return job;
+  }
+
+  // ==================== EXECUTION ====================
+
+  // Sports a job has yet to refresh (or is refreshing now)
+  pendingSports(job) {
+    return job.progress ? job.sports.slice(job.progress.sportIndex - 1) : job.sports;
+  }
+
+  // Whether a running job holds the sport; the adaptive scheduler leaves such sports alone
+  isLocked(sport) {
+    return this.locks.has(sport);
+  }
+
+  locksOf(job) {
+    return job.type === 'all' ? [...job.sports, ALL_LOCK] : job.sports;
+  }
+
+  // Start every queued job whose sports are free. Locks wanted by an earlier queued job are
+  // reserved for it, so a full refresh isn't starved by a stream of single-sport requests
+  pump() {
+    const reserved = new Set();
+    for (const job of [...this.queue]) {
+      const locks = this.locksOf(job);
+      if (locks.some(lock => this.locks.has(lock) || reserved.has(lock))) {
+        locks.forEach(lock => reserved.add(lock));
+        continue;
+      }
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    const locks = this.locksOf(job);
+    locks.forEach(lock => this.locks.add(lock));
+    this.controllers.set(job.id, controller);
+
+    job.status = 'running';
+    job.startedAt = new Date();
+    this.notify(job);
+
+    const options = {
+      maxAgeMs: job.maxAgeMs,
+      signal: controller.signal,
+      onProgress: (progress) => this.updateProgress(job, progress),
+      // Only the job's own requests, not the live tracker's or anyone else's
+      onCall: () => { job.callsUsed++; }
+    };
+
+    try {
+      const result = job.type === 'all'
+        ? await oddsCache.refreshAll({ ...options, sports: job.sports })
+        : await oddsCache.refreshSportOdds(job.type, options);
+      if (result?.error) throw new Error(result.error);
+      if (result?.skipped) throw new Error('Another full refresh is already running');
+
+      job.result = result;
+      job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date();
+      locks.forEach(lock => this.locks.delete(lock));
+      this.controllers.delete(job.id);
+      console.log(`[Jobs] ${job.id} ${job.status} (${job.callsUsed} calls${job.error ? `, ${job.error}` : ''})`);
+
+      this.notify(job);
+      this.prune();
+      this.pump();
+    }
+  }
+
+  // e.g. "NBA event 14/62, 812 calls used"
+  updateProgress(job, { sport, phase, current, total, eventId }) {
+    const step = phase === 'odds' ? 'event' : 'league';
+    job.progress = {
+      sport,
+      phase,
+      current,
+      total,
+      ...(eventId !== undefined && { eventId }),
+      sportIndex: job.sports.indexOf(sport) + 1,
+      sportCount: job.sports.length,
+      message: `${sportRegistry.get(sport)?.name || sport} ${step} ${current}/${total}, ${job.callsUsed} calls used`
+    };
+    this.notifyProgress(job);
+  }
+
+  // Drop the oldest finished jobs beyond JOB_HISTORY_SIZE
+  prune() {
+    const finished = this.getJobs().filter(job => !ACTIVE_STATUSES.includes(job.status));
+    for (const job of finished.slice(0, Math.max(0, finished.length - JOB_HISTORY_SIZE))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // Called on every status change and progress step. server.js hooks these to notify clients
+  notify() {}
+
+  notifyProgress() {}
+
+  // ==================== GETTERS ====================
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Oldest first. Filters: status, sport
+  getJobs({ status, sport } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .filter(job => !sport || job.sports.includes(sport));
+  }
+
+  getStatus() {
+    return {
+      running: this.getJobs({ status: 'running' }).map(job => ({ id: job.id, type: job.type, progress: job.progress })),
+      queued: this.queue.map(job => ({ id: job.id, type: job.type, sports: job.sports })),
+      lockedSports: [...this.locks].filter(lock => lock !== ALL_LOCK),
+      historySize: JOB_HISTORY_SIZE
+    };
+  }
+}
+
+// Singleton instance
+const refreshJobs = new RefreshJobs();
+
+module.exports = refreshJobs;
@@ -0,0 +1,299 @@
+// services/refreshScheduler.js
+// Kickoff-aware adaptive refresh scheduler that spreads the hourly API budget evenly
+
+const sportRegistry = require('./sportRegistry');
+const oddsCache = require('./oddsCache');
+const oddsHistory = require('./oddsHistory');
+const metrics = require('./metrics');
+const liveTracker = require('./liveTracker');
+const refreshJobs = require('./refreshJobs');
+
+const MAX_CALLS_PER_HOUR = parseInt(process.env.MAX_CALLS_PER_HOUR) || 5000;
+const SCHEDULER_TICK_SECONDS = parseInt(process.env.SCHEDULER_TICK_SECONDS) || 15;
+const SCHEDULER_EVENTS_INTERVAL_MINUTES = parseInt(process.env.SCHEDULER_EVENTS_INTERVAL_MINUTES) || 30;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Base refresh interval by time to start - games about to start refresh most often
+const INTERVAL_TIERS = [
+  { withinMinutes: 60, intervalMinutes: 2 },
+  { withinMinutes: 6 * 60, intervalMinutes: 5 },
+  { withinMinutes: 24 * 60, intervalMinutes: 15 },
+  { withinMinutes: 48 * 60, intervalMinutes: 30 },
+  { withinMinutes: Infinity, intervalMinutes: 60 }
+];
+
+const MIN_INTERVAL_MINUTES = 1;
+
+class RefreshScheduler {
+  constructor() {
+    this.events = {}; // { 'sport:eventId': entry }
+    this.leagues = {}; // { 'sport:league': entry }
+
+    // Token bucket refilled at the hourly budget left after in-play tracking, so calls are spread evenly
+    this.budget = MAX_CALLS_PER_HOUR - liveTracker.budget;
+    this.ratePerMs = this.budget / HOUR_MS;
+    this.burst = this.computeBurst();
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+
+    // Intervals are stretched by this factor when the plan would exceed the budget
+    this.stretch = 1;
+
+    this.timer = null;
+    this.isTicking = false;
+    this.lastTick = null;
+    this.callsLog = []; // { at, calls } for the last hour
+  }
+
+  // Allow enough burst for the most expensive single event fetch
+  computeBurst() {
+    const maxCost = Math.max(...sportRegistry.list().map(sport => sport.bookmakers.length), 1);
+    return Math.max(100, maxCost * 2);
+  }
+
+  start() {
+    this.stop();
+    console.log(`[Scheduler] Adaptive scheduler started (${this.budget} calls/hour, tick ${SCHEDULER_TICK_SECONDS}s)`);
+    this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_SECONDS * 1000);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ==================== PLANNING ====================
+
+  // Bring the queue in line with the cached events lists
+  sync(now = Date.now()) {
+    const seenEvents = new Set();
+    const seenLeagues = new Set();
+
+    for (const sport of sportRegistry.list()) {
+      for (const league of sport.leagues) {
+        const key = `${sport.key}:${league}`;
+        seenLeagues.add(key);
+        if (!this.leagues[key]) {
+          const lastFetchedAt = oddsCache.getEvents(sport.key, league).lastUpdate;
+          this.leagues[key] = {
+            sport: sport.key,
+            league,
+            lastFetchedAt: lastFetchedAt ? new Date(lastFetchedAt).getTime() : null,
+            nextDueAt: lastFetchedAt ? new Date(lastFetchedAt).getTime() + SCHEDULER_EVENTS_INTERVAL_MINUTES * MINUTE_MS : now
+          };
+        }
+
+        const windowEnd = now + sport.oddsWindowDays * DAY_MS;
+        for (const event of oddsCache.getEvents(sport.key, league).events) {
+          const startsAt = new Date(event.date).getTime();
+          if (!(startsAt > now && startsAt <= windowEnd)) continue;
+
+          const key = `${sport.key}:${event.id}`;
+          seenEvents.add(key);
+          if (!this.events[key]) {
+            const cachedAt = oddsCache.getOdds(sport.key, event.id)?.cachedAt;
+            this.events[key] = {
+              sport: sport.key,
+              eventId: event.id,
+              league,
+              home: event.home,
+              away: event.away,
+              startsAt,
+              cost: sport.bookmakers.length,
+              lastFetchedAt: cachedAt ? new Date(cachedAt).getTime() : null,
+              fetches: 0,
+              intervalMinutes: null,
+              nextDueAt: now
+            };
+          }
+
+          const entry = this.events[key];
+          entry.startsAt = startsAt;
+          entry.cost = sport.bookmakers.length;
+          entry.intervalMinutes = this.intervalFor(entry, now);
+          entry.nextDueAt = entry.lastFetchedAt ? entry.lastFetchedAt + entry.intervalMinutes * MINUTE_MS : now;
+        }
+      }
+    }
+
+    // Started, dropped or out-of-window events leave the queue
+    for (const key of Object.keys(this.events)) {
+      if (!seenEvents.has(key)) delete this.events[key];
+    }
+    for (const key of Object.keys(this.leagues)) {
+      if (!seenLeagues.has(key)) delete this.leagues[key];
+    }
+
+    this.stretch = this.computeStretch();
+  }
+
+  // Refresh interval for an event from time to start and recent price volatility
+  intervalFor(entry, now = Date.now()) {
+    const minutesToStart = (entry.startsAt - now) / MINUTE_MS;
+    const tier = INTERVAL_TIERS.find(t => minutesToStart <= t.withinMinutes);
+    let interval = tier.intervalMinutes;
+
+    const volatility = this.volatility(entry.sport, entry.eventId, now);
+    if (volatility >= 0.5) {
+      interval *= 0.5;
+    } else if (volatility >= 0.1) {
+      interval *= 0.75;
+    } else if (volatility === 0 && entry.fetches >= 2) {
+      interval *= 1.5;
+    }
+
+    return Math.max(MIN_INTERVAL_MINUTES, interval * this.stretch);
+  }
+
+  // Price changes in the last hour per tracked outcome (0 = nothing moved)
+  volatility(sport, eventId, now = Date.now()) {
+    const history = oddsHistory.getEventHistory(sport, eventId);
+    if (!history || history.seriesCount === 0) return 0;
+
+    const since = now - HOUR_MS;
+    let changes = 0;
+    for (const series of history.series) {
+      changes += series.points.slice(1).filter(p => new Date(p.at).getTime() >= since).length;
+    }
+    return changes / history.seriesCount;
+  }
+
+  // Calls the current plan would spend in the next hour
+  projectCalls() {
+    const eventCalls = Object.values(this.events)
+      .reduce((sum, e) => sum + (60 / (e.intervalMinutes || 60)) * e.cost, 0);
+    const leagueCalls = Object.keys(this.leagues).length * (60 / SCHEDULER_EVENTS_INTERVAL_MINUTES);
+    return eventCalls + leagueCalls;
+  }
+
+  // >1 when the unstretched plan would exceed the hourly budget
+  computeStretch() {
+    const unstretched = this.projectCalls() * this.stretch;
+    return Math.max(1, unstretched / this.budget);
+  }
+
+  // ==================== EXECUTION ====================
+
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.ratePerMs);
+    this.lastRefill = now;
+  }
+
+  spend(calls) {
+    this.tokens -= calls;
+    this.callsLog.push({ at: Date.now(), calls });
+  }
+
+  // Most overdue first; ties go to the event starting soonest
+  dueEvents(now = Date.now()) {
+    return Object.values(this.events)
+      .filter(e => e.nextDueAt <= now)
+      .sort((a, b) => {
+        const overdueA = (now - a.nextDueAt) / (a.intervalMinutes * MINUTE_MS);
+        const overdueB = (now - b.nextDueAt) / (b.intervalMinutes * MINUTE_MS);
+        return overdueB - overdueA || a.startsAt - b.startsAt;
+      });
+  }
+
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+    const endTick = metrics.startRefresh('scheduler');
+
+    try {
+      let now = Date.now();
+      this.refill(now);
+      this.sync(now);
+
+      // Events lists first - they are cheap and decide what gets odds. Sports a refresh job is
+      // working on are skipped (and stay due), so the two never spend calls on the same data
+      for (const entry of Object.values(this.leagues)) {
+        if (entry.nextDueAt > now || refreshJobs.isLocked(entry.sport)) continue;
+        if (this.tokens < 1 || !oddsCache.checkRateLimit()) break;
+
+        await oddsCache.fetchEvents(entry.sport, entry.league);
+        this.spend(1);
+        entry.lastFetchedAt = Date.now();
+        entry.nextDueAt = entry.lastFetchedAt + SCHEDULER_EVENTS_INTERVAL_MINUTES * MINUTE_MS;
+      }
+
+      now = Date.now();
+      this.sync(now);
+
+      for (const entry of this.dueEvents(now)) {
+        if (refreshJobs.isLocked(entry.sport)) continue;
+        this.refill();
+        if (this.tokens < entry.cost || !oddsCache.checkRateLimit()) break;
+
+        await oddsCache.fetchOddsForEvent(entry.sport, entry.eventId);
+        this.spend(entry.cost);
+        entry.fetches++;
+        entry.lastFetchedAt = Date.now();
+        entry.intervalMinutes = this.intervalFor(entry);
+        entry.nextDueAt = entry.lastFetchedAt + entry.intervalMinutes * MINUTE_MS;
+      }
+      endTick({ outcome: 'success' });
+    } catch (error) {
+      console.error('[Scheduler] Tick error:', error);
+      endTick({ outcome: 'error' });
+    } finally {
+      this.lastTick = new Date();
+      this.isTicking = false;
+    }
+  }
+
+  // ==================== STATUS ====================
+
+  getStatus({ limit = 100 } = {}) {
+    const now = Date.now();
+    this.callsLog = this.callsLog.filter(entry => now - entry.at < HOUR_MS);
+
+    const queue = Object.values(this.events)
+      .sort((a, b) => a.nextDueAt - b.nextDueAt)
+      .slice(0, limit)
+      .map(e => ({
+        sport: e.sport,
+        eventId: e.eventId,
+        league: e.league,
+        home: e.home,
+        away: e.away,
+        startsAt: new Date(e.startsAt),
+        intervalMinutes: Math.round(e.intervalMinutes * 10) / 10,
+        volatility: Math.round(this.volatility(e.sport, e.eventId, now) * 1000) / 1000,
+        cost: e.cost,
+        lastFetchedAt: e.lastFetchedAt ? new Date(e.lastFetchedAt) : null,
+        nextDueAt: new Date(e.nextDueAt),
+        overdue: e.nextDueAt <= now
+      }));
+
+    return {
+      running: Boolean(this.timer),
+      lastTick: this.lastTick,
+      budget: {
+        maxCallsPerHour: MAX_CALLS_PER_HOUR,
+        callsPerHour: this.budget,
+        callsPerMinute: Math.round(this.ratePerMs * MINUTE_MS * 10) / 10,
+        tokens: Math.floor(this.tokens),
+        burst: this.burst,
+        usedLastHour: this.callsLog.reduce((sum, entry) => sum + entry.calls, 0),
+        projectedNextHour: Math.round(this.projectCalls()),
+        stretch: Math.round(this.stretch * 100) / 100
+      },
+      events: Object.keys(this.events).length,
+      leagues: Object.keys(this.leagues).length,
+      due: this.dueEvents(now).length,
+      queue
+    };
+  }
+}
+
+// Singleton instance
+const refreshScheduler = new RefreshScheduler();
+
+module.exports = refreshScheduler;
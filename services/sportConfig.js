@@ -0,0 +1,231 @@
+// services/sportConfig.js
+// Runtime league and bookmaker settings per sport - add, remove, enable, disable and reorder
+// without a redeploy, checked against the odds API and saved to disk
+
+const fs = require('fs');
+const path = require('path');
+const sportRegistry = require('./sportRegistry');
+const oddsCache = require('./oddsCache');
+
+const SPORTS_OVERRIDES_PATH = process.env.SPORTS_OVERRIDES_PATH || path.join(__dirname, '..', 'data', 'sports-overrides.json');
+// Upstream league and bookmaker catalogs are reused this long when validating changes
+const CATALOG_TTL_MINUTES = parseInt(process.env.CATALOG_TTL_MINUTES) || 60;
+
+// The registry fields they manage; enabled items live there, in priority order
+const CONFIG_KINDS = ['leagues', 'bookmakers'];
+
+const catalogName = (item) => typeof item === 'string' ? item : item?.slug ?? item?.name;
+
+class SportConfig {
+  constructor() {
+    this.path = SPORTS_OVERRIDES_PATH;
+    // Disabled items per sport, kept so they can be re-enabled: { sport: { leagues: [], bookmakers: [] } }
+    this.disabled = {};
+    // { 'sport:leagues' | 'bookmakers': { items, fetchedAt } }
+    this.catalogs = {};
+    this.saving = Promise.resolve();
+    this.lastSave = null;
+    this.lastError = null;
+  }
+
+  getDisabled(sport, kind) {
+    if (!this.disabled[sport]) this.disabled[sport] = { leagues: [], bookmakers: [] };
+    return this.disabled[sport][kind];
+  }
+
+  // Whether a league or bookmaker is configured for the sport, enabled or not
+  has(sport, kind, name) {
+    return sportRegistry.get(sport)[kind].includes(name) || this.getDisabled(sport, kind).includes(name);
+  }
+
+  // Enabled items in priority order, and the disabled ones
+  getConfig(sport) {
+    const config = sportRegistry.get(sport);
+    return {
+      sport,
+      leagues: config.leagues,
+      bookmakers: config.bookmakers,
+      disabled: {
+        leagues: this.getDisabled(sport, 'leagues'),
+        bookmakers: this.getDisabled(sport, 'bookmakers')
+      }
+    };
+  }
+
+  // ==================== VALIDATION ====================
+
+  // Returns an error message for an invalid change, or null. `action` is add, update, remove or order
+  validate(sport, kind, action, input = {}) {
+    if (!CONFIG_KINDS.includes(kind)) return `kind must be one of: ${CONFIG_KINDS.join(', ')}`;
+    const enabled = sportRegistry.get(sport)[kind];
+    const known = input.name !== undefined && this.has(sport, kind, input.name);
+
+    if (action === 'order') {
+      if (!Array.isArray(input.order)) return 'order must be an array';
+      const missing = enabled.filter(name => !input.order.includes(name));
+      const extra = input.order.filter(name => !enabled.includes(name));
+      if (missing.length > 0 || extra.length > 0 || input.order.length !== enabled.length) {
+        return `order must list every enabled ${kind} exactly once (${enabled.join(', ')})`;
+      }
+      return null;
+    }
+
+    if (!input.name || typeof input.name !== 'string') return 'name is required';
+    if (action === 'add' && known) return `${input.name} is already configured`;
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') return 'enabled must be a boolean';
+    if (input.position !== undefined && (!Number.isInteger(input.position) || input.position < 0)) {
+      return 'position must be a non-negative integer';
+    }
+
+    // The cache needs at least one league and one bookmaker per sport
+    const disabling = action === 'remove' || input.enabled === false;
+    if (disabling && enabled.length === 1 && enabled[0] === input.name) {
+      return `Cannot remove or disable the last enabled ${kind.slice(0, -1)}`;
+    }
+    return null;
+  }
+
+  // Upstream catalog of leagues for the sport, or of bookmakers. Null when the API didn't answer
+  async getCatalog(sport, kind) {
+    const key = kind === 'leagues' ? `${sport}:leagues` : 'bookmakers';
+    const cached = this.catalogs[key];
+    if (cached && Date.now() - cached.fetchedAt < CATALOG_TTL_MINUTES * 60 * 1000) return cached.items;
+
+    const items = kind === 'leagues' ? await oddsCache.fetchLeagues(sport) : await oddsCache.fetchBookmakers();
+    if (!items) return null;
+    this.catalogs[key] = { items: items.map(catalogName).filter(name => typeof name === 'string' && name), fetchedAt: Date.now() };
+    return this.catalogs[key].items;
+  }
+
+  // Upstream name of a league slug or bookmaker (bookmaker case is fixed up), as
+  // { name } or { error, upstream } where upstream means the API couldn't be asked
+  async verify(sport, kind, name) {
+    const catalog = await this.getCatalog(sport, kind);
+    if (!catalog) return { error: `Could not verify ${name} against the odds API`, upstream: true };
+
+    const match = catalog.find(item => item === name) || catalog.find(item => item.toLowerCase() === name.toLowerCase());
+    if (!match) return { error: `Unknown ${kind.slice(0, -1)} for ${sportRegistry.get(sport).apiSport}: ${name}` };
+    return { name: match };
+  }
+
+  // ==================== CHANGES ====================
+  // Each returns the sport's new config. Dropped leagues and bookmakers are cleared from the cache
+  // by the caller (see server.js), which also notifies clients
+
+  add(sport, kind, { name, position, enabled = true }) {
+    if (enabled) {
+      this.insert(sportRegistry.get(sport)[kind], name, position);
+    } else {
+      this.getDisabled(sport, kind).push(name);
+    }
+    return this.changed(sport, `Added ${kind.slice(0, -1)} ${name}${enabled ? '' : ' (disabled)'}`);
+  }
+
+  update(sport, kind, { name, position, enabled }) {
+    const list = sportRegistry.get(sport)[kind];
+    const disabled = this.getDisabled(sport, kind);
+    const isEnabled = list.includes(name);
+
+    if (enabled === false && isEnabled) {
+      list.splice(list.indexOf(name), 1);
+      disabled.push(name);
+    } else if (enabled !== false && (!isEnabled || position !== undefined)) {
+      // Enabling appends unless a position is given; a position alone moves an enabled item
+      if (isEnabled) list.splice(list.indexOf(name), 1);
+      if (!isEnabled) disabled.splice(disabled.indexOf(name), 1);
+      this.insert(list, name, position);
+    }
+    return this.changed(sport, `Updated ${kind.slice(0, -1)} ${name}`);
+  }
+
+  remove(sport, kind, name) {
+    const list = sportRegistry.get(sport)[kind];
+    const disabled = this.getDisabled(sport, kind);
+    if (list.includes(name)) list.splice(list.indexOf(name), 1);
+    if (disabled.includes(name)) disabled.splice(disabled.indexOf(name), 1);
+    return this.changed(sport, `Removed ${kind.slice(0, -1)} ${name}`);
+  }
+
+  setOrder(sport, kind, order) {
+    const list = sportRegistry.get(sport)[kind];
+    list.splice(0, list.length, ...order);
+    return this.changed(sport, `Reordered ${kind}`);
+  }
+
+  insert(list, name, position = list.length) {
+    list.splice(Math.min(position, list.length), 0, name);
+  }
+
+  changed(sport, message) {
+    console.log(`[SportConfig] ${sportRegistry.get(sport).name}: ${message}`);
+    this.save();
+    return this.getConfig(sport);
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  // Synchronously apply the saved settings to the registry. Call before the cache is loaded
+  load() {
+    if (!fs.existsSync(this.path)) return false;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      for (const [sport, settings] of Object.entries(saved.sports || {})) {
+        // Sports removed from the registry since the file was written are ignored
+        if (!sportRegistry.has(sport)) continue;
+        const config = sportRegistry.get(sport);
+        for (const kind of CONFIG_KINDS) {
+          if (Array.isArray(settings[kind]) && settings[kind].length > 0) {
+            config[kind].splice(0, config[kind].length, ...settings[kind]);
+          }
+          this.getDisabled(sport, kind).push(...(settings.disabled?.[kind] || []).filter(name => !config[kind].includes(name)));
+        }
+      }
+      console.log(`[SportConfig] Restored league and bookmaker settings from ${this.path}`);
+      return true;
+    } catch (error) {
+      console.error(`[SportConfig] Failed to load ${this.path}: ${error.message}`);
+      this.lastError = { time: new Date(), message: error.message };
+      return false;
+    }
+  }
+
+  // Saves run one after another, so an older write never lands last
+  save() {
+    this.saving = this.saving.then(() => this.write());
+    return this.saving;
+  }
+
+  // Write to a temp file and rename it, so a crash never leaves half a file
+  async write() {
+    try {
+      const sports = {};
+      for (const sport of sportRegistry.keys()) {
+        const { leagues, bookmakers, disabled } = this.getConfig(sport);
+        sports[sport] = { leagues, bookmakers, disabled };
+      }
+
+      const tmpPath = `${this.path}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify({ savedAt: new Date(), sports }, null, 2));
+      await fs.promises.rename(tmpPath, this.path);
+      this.lastSave = new Date();
+    } catch (error) {
+      console.error(`[SportConfig] Failed to save: ${error.message}`);
+      this.lastError = { time: new Date(), message: error.message };
+    }
+  }
+
+  getStatus() {
+    return {
+      path: this.path,
+      lastSave: this.lastSave,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Singleton instance
+const sportConfig = new SportConfig();
+
+module.exports = sportConfig;
@@ -0,0 +1,158 @@
+// services/sportRegistry.js
+// Sport definitions (API slug, leagues, bookmakers, windows, refresh cadence) that drive the cache and routes
+
+const fs = require('fs');
+
+const REFRESH_INTERVAL = process.env.REFRESH_INTERVAL || '*/10 * * * *';
+// Optional JSON file adding or overriding sports, e.g. { "nhl": { "apiSport": "ice-hockey", ... } }
+const SPORTS_CONFIG = process.env.SPORTS_CONFIG;
+
+// Bookmakers configuration (Sporttrade removed - returns 400 errors)
+const NBA_BOOKMAKERS = [
+  'Kambi', 'Bet365', 'DraftKings', 'Pinnacle', 'BetMGM', 'Caesars', 'PrizePicks', 'FanDuel',
+  'BetOnline.ag', 'BetPARX', 'BetRivers', 'Bovada', 'Fanatics', 'Fliff', 'Superbet', 'Underdog', 'Bally Bet'
+];
+
+const FOOTBALL_BOOKMAKERS = [
+  'Pinnacle', 'Bet365', 'Kambi', 'DraftKings', 'FanDuel', 'BetMGM', 'Caesars',
+  'BetOnline.ag', 'BetRivers', 'Bovada', 'Fanatics', 'Superbet', 'Bally Bet'
+];
+
+// Football leagues to track (matches frontend config)
+const FOOTBALL_LEAGUES = [
+  // Top 5 + second divisions
+  'england-premier-league',
+  'england-championship',
+  'england-fa-cup',
+  'spain-laliga',
+  'spain-laliga-2',
+  'germany-bundesliga',
+  'germany-2-bundesliga',
+  'italy-serie-a',
+  'italy-serie-b',
+  'france-ligue-1',
+  'france-ligue-2',
+  // European leagues
+  'netherlands-eredivisie',
+  'portugal-liga-portugal',
+  'belgium-pro-league',
+  'scotland-premiership',
+  'denmark-superliga',
+  'austria-bundesliga',
+  'greece-super-league',
+  // UEFA competitions
+  'international-clubs-uefa-champions-league',
+  'international-clubs-uefa-europa-league',
+  'international-clubs-uefa-conference-league',
+  // Other
+  'saudi-arabia-saudi-pro-league',
+  'brazil-brasileiro-serie-a',
+  'argentina-liga-profesional'
+];
+
+// Built-in sports. Sports with a single league expose flat event lists,
+// sports with several leagues expose events grouped by league slug.
+const DEFAULT_SPORTS = {
+  nba: {
+    name: 'NBA',
+    apiSport: 'basketball',
+    leagues: ['usa-nba'],
+    bookmakers: NBA_BOOKMAKERS,
+    eventsWindowDays: 7,
+    oddsWindowDays: 3
+  },
+  football: {
+    name: 'Football',
+    apiSport: 'football',
+    leagues: FOOTBALL_LEAGUES,
+    bookmakers: FOOTBALL_BOOKMAKERS,
+    eventsWindowDays: 7,
+    oddsWindowDays: 3
+  }
+};
+
+const SPORT_KEY_PATTERN = /^[a-z0-9-]+$/;
+
+class SportRegistry {
+  constructor() {
+    this.sports = {};
+
+    const overrides = this.loadConfigFile();
+    const definitions = { ...DEFAULT_SPORTS };
+    for (const [key, override] of Object.entries(overrides)) {
+      definitions[key] = { ...definitions[key], ...override };
+    }
+
+    for (const [key, definition] of Object.entries(definitions)) {
+      if (definition.enabled === false) continue;
+      const error = this.validate(key, definition);
+      if (error) {
+        console.error(`[Sports] Skipping ${key}: ${error}`);
+        continue;
+      }
+      this.sports[key] = this.normalize(key, definition);
+    }
+
+    console.log(`[Sports] Registered: ${this.keys().join(', ')}`);
+  }
+
+  loadConfigFile() {
+    if (!SPORTS_CONFIG) return {};
+    try {
+      return JSON.parse(fs.readFileSync(SPORTS_CONFIG, 'utf8'));
+    } catch (error) {
+      console.error(`[Sports] Failed to read ${SPORTS_CONFIG}: ${error.message}`);
+      return {};
+    }
+  }
+
+  // Returns an error message for an invalid definition, or null
+  validate(key, definition) {
+    if (!SPORT_KEY_PATTERN.test(key)) return 'key must be lowercase letters, digits or dashes';
+    if (!definition.apiSport) return 'apiSport is required';
+    if (!Array.isArray(definition.leagues) || definition.leagues.length === 0) return 'leagues must be a non-empty array';
+    if (!Array.isArray(definition.bookmakers) || definition.bookmakers.length === 0) return 'bookmakers must be a non-empty array';
+    return null;
+  }
+
+  // Fill in defaults; the cadence can be overridden per sport with REFRESH_INTERVAL_<KEY>
+  normalize(key, definition) {
+    const envKey = `REFRESH_INTERVAL_${key.toUpperCase().replace(/-/g, '_')}`;
+    return {
+      key,
+      name: definition.name || key,
+      apiSport: definition.apiSport,
+      leagues: [...definition.leagues],
+      bookmakers: [...definition.bookmakers],
+      eventsWindowDays: definition.eventsWindowDays || 7,
+      oddsWindowDays: definition.oddsWindowDays || 3,
+      refreshInterval: process.env[envKey] || definition.refreshInterval || REFRESH_INTERVAL
+    };
+  }
+
+  get(key) {
+    return this.sports[key] || null;
+  }
+
+  has(key) {
+    return Boolean(this.sports[key]);
+  }
+
+  keys() {
+    return Object.keys(this.sports);
+  }
+
+  list() {
+    return Object.values(this.sports);
+  }
+
+  // Single-league sports (NBA, NHL, ...) are served as flat event lists
+  isSingleLeague(key) {
+    return this.sports[key]?.leagues.length === 1;
+  }
+}
+
+// Singleton instance
+const sportRegistry = new SportRegistry();
+
+module.exports = sportRegistry;
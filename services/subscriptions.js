@@ -0,0 +1,169 @@
+// services/subscriptions.js
+// Per-socket subscription filters (events, leagues, bookmakers, markets) and payload trimming
+
+const sportRegistry = require('./sportRegistry');
+
+// A missing/null list means "everything" for that dimension
+const FILTER_FIELDS = ['eventIds', 'leagues', 'bookmakers', 'markets'];
+// ...except that these two are OR'ed selectors: with only one set, a null other one selects nothing
+const EVENT_SELECTORS = ['eventIds', 'leagues'];
+
+// Case-insensitive "contains", so `markets: ['total']` matches 'Totals'
+const matchesMarket = (filter, marketName) =>
+  !filter.markets || filter.markets.some(m => String(marketName).toLowerCase().includes(m.toLowerCase()));
+
+// Returns an error message for an invalid subscribe/unsubscribe payload, or null
+const validate = (input) => {
+  const sport = sportRegistry.get(input?.sport);
+  if (!sport) return `sport must be one of: ${sportRegistry.keys().join(', ')}`;
+
+  for (const field of FILTER_FIELDS) {
+    const values = input[field];
+    if (values === undefined || values === null) continue;
+    if (!Array.isArray(values) || values.some(v => typeof v !== 'string' && typeof v !== 'number')) {
+      return `${field} must be an array of strings`;
+    }
+  }
+
+  const unknownLeagues = (input.leagues || []).filter(l => !sport.leagues.includes(l));
+  if (unknownLeagues.length > 0) return `Unknown ${sport.key} leagues: ${unknownLeagues.join(', ')}`;
+
+  const unknownBookmakers = (input.bookmakers || []).filter(b => !sport.bookmakers.includes(b));
+  if (unknownBookmakers.length > 0) return `Unknown ${sport.key} bookmakers: ${unknownBookmakers.join(', ')}`;
+
+  return null;
+};
+
+const hasFilters = (input) => FILTER_FIELDS.some(field => Array.isArray(input[field]));
+
+// Add a subscription. Without any lists the sport is watched in full; lists are
+// merged into an existing subscription (a dimension that is already "everything" stays so,
+// but a selector missing beside the other one is added - every event wasn't selected)
+const subscribe = (subscriptions, input) => {
+  const existing = subscriptions[input.sport];
+  if (!existing || !hasFilters(input)) {
+    const filter = {};
+    for (const field of FILTER_FIELDS) {
+      filter[field] = Array.isArray(input[field]) ? input[field].map(String) : null;
+    }
+    subscriptions[input.sport] = filter;
+    return filter;
+  }
+
+  const selectsAll = EVENT_SELECTORS.every(field => !existing[field]);
+  for (const field of FILTER_FIELDS) {
+    if (!Array.isArray(input[field])) continue;
+    if (!existing[field]) {
+      if (EVENT_SELECTORS.includes(field) && !selectsAll) existing[field] = input[field].map(String);
+      continue;
+    }
+    existing[field] = [...new Set([...existing[field], ...input[field].map(String)])];
+  }
+  return existing;
+};
+
+// Remove listed values, or the whole sport when no lists are given. Returns true when the
+// sport is no longer subscribed (emptying a list would otherwise widen it to "everything")
+const unsubscribe = (subscriptions, input) => {
+  const existing = subscriptions[input.sport];
+  if (!existing) return true;
+
+  if (hasFilters(input)) {
+    for (const field of FILTER_FIELDS) {
+      if (!Array.isArray(input[field]) || !existing[field]) continue;
+      const removed = input[field].map(String);
+      existing[field] = existing[field].filter(value => !removed.includes(value));
+      if (existing[field].length > 0) continue;
+
+      delete subscriptions[input.sport];
+      return true;
+    }
+    return false;
+  }
+
+  delete subscriptions[input.sport];
+  return true;
+};
+
+// eventIds and leagues both select events - an event matching either passes
+const matchesEvent = (filter, eventId, league) => {
+  if (!filter) return false;
+  if (!filter.eventIds && !filter.leagues) return true;
+  return Boolean(filter.eventIds?.includes(String(eventId)) || (league && filter.leagues?.includes(league)));
+};
+
+// Keep only the subscribed bookmakers/markets; null when nothing is left
+const trimOdds = (filter, eventOdds) => {
+  if (!eventOdds || (!filter.bookmakers && !filter.markets)) return eventOdds;
+
+  const bookmakers = {};
+  for (const [bookmaker, markets] of Object.entries(eventOdds.bookmakers || {})) {
+    if (filter.bookmakers && !filter.bookmakers.includes(bookmaker)) continue;
+    const kept = (markets || []).filter(market => matchesMarket(filter, market.name));
+    if (kept.length > 0) bookmakers[bookmaker] = kept;
+  }
+
+  if (Object.keys(bookmakers).length === 0) return null;
+  const trimmed = { ...eventOdds, bookmakers };
+  if (filter.bookmakers && eventOdds.bookmakerStatus) {
+    trimmed.bookmakerStatus = Object.fromEntries(Object.entries(eventOdds.bookmakerStatus)
+      .filter(([bookmaker]) => filter.bookmakers.includes(bookmaker)));
+  }
+  return trimmed;
+};
+
+// Same trimming for an oddsDelta's changed/removed maps
+const trimDelta = (filter, delta) => {
+  if (!filter.bookmakers && !filter.markets) return delta;
+
+  const changed = {};
+  for (const [bookmaker, markets] of Object.entries(delta.changed)) {
+    if (filter.bookmakers && !filter.bookmakers.includes(bookmaker)) continue;
+    const kept = Object.entries(markets).filter(([name]) => matchesMarket(filter, name));
+    if (kept.length > 0) changed[bookmaker] = Object.fromEntries(kept);
+  }
+
+  const removed = {};
+  for (const [bookmaker, names] of Object.entries(delta.removed)) {
+    if (filter.bookmakers && !filter.bookmakers.includes(bookmaker)) continue;
+    const kept = names.filter(name => matchesMarket(filter, name));
+    if (kept.length > 0) removed[bookmaker] = kept;
+  }
+
+  if (Object.keys(changed).length === 0 && Object.keys(removed).length === 0) return null;
+  return { ...delta, changed, removed };
+};
+
+// Trim a `{ events, odds }` sport payload (getEvents + getAllOdds shapes) to a filter
+const trimSportData = (filter, { events, odds }, leagueOf) => {
+  const trimmedEvents = Array.isArray(events.events)
+    ? events.events.filter(event => matchesEvent(filter, event.id, leagueOf(event.id)))
+    : Object.fromEntries(Object.entries(events.events)
+      .map(([league, list]) => [league, list.filter(event => matchesEvent(filter, event.id, league))])
+      .filter(([league, list]) => list.length > 0 || filter.leagues?.includes(league)));
+
+  const trimmedOdds = {};
+  for (const [eventId, eventOdds] of Object.entries(odds.odds)) {
+    if (!matchesEvent(filter, eventId, leagueOf(eventId))) continue;
+    const trimmed = trimOdds(filter, eventOdds);
+    if (trimmed) trimmedOdds[eventId] = trimmed;
+  }
+
+  return {
+    events: Array.isArray(trimmedEvents)
+      ? { ...events, events: trimmedEvents, count: trimmedEvents.length }
+      : { ...events, events: trimmedEvents, leagues: Object.keys(trimmedEvents) },
+    odds: { ...odds, odds: trimmedOdds, eventCount: Object.keys(trimmedOdds).length }
+  };
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  validate,
+  subscribe,
+  unsubscribe,
+  matchesEvent,
+  trimOdds,
+  trimDelta,
+  trimSportData
+};
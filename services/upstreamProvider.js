@@ -0,0 +1,244 @@
+// services/upstreamProvider.js
+// Upstream transport for the odds API - live, record (to fixture files) or replay (from them)
+
+const fs = require('fs');
+const path = require('path');
+
+const UPSTREAM_MODES = ['live', 'record', 'replay'];
+const UPSTREAM_MODE = UPSTREAM_MODES.includes(process.env.UPSTREAM_MODE) ? process.env.UPSTREAM_MODE : 'live';
+const UPSTREAM_FIXTURES_DIR = process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'upstream');
+// Replay latency and Retry-After are divided by this (0 = answer instantly)
+const REPLAY_SPEED = process.env.REPLAY_SPEED !== undefined ? parseFloat(process.env.REPLAY_SPEED) : 1;
+// Move recorded `date` fields forward so kickoffs sit as far ahead of now as when recorded
+const REPLAY_SHIFT_DATES = process.env.REPLAY_SHIFT_DATES !== 'false';
+
+// Query params that never identify a fixture: the secret, and date bounds that move every day
+const IGNORED_PARAMS = ['apiKey', 'from', 'to'];
+
+// Stable lookup key: endpoint plus sorted identifying params, independent of host and base path
+const fixtureKey = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  const params = [...searchParams.entries()]
+    .filter(([name]) => !IGNORED_PARAMS.includes(name))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`);
+  return `${pathname.split('/').pop()}?${params.join('&')}`;
+};
+
+// Recorded URL without the API key
+const redactUrl = (url) => {
+  const parsed = new URL(url);
+  parsed.searchParams.delete('apiKey');
+  return parsed.toString();
+};
+
+const slugify = (value) => value.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+
+// Resolves after ms, or rejects like fetch does when the request is aborted first
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException('This operation was aborted', 'AbortError'));
+  const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('This operation was aborted', 'AbortError'));
+  }, { once: true });
+});
+
+class UpstreamProvider {
+  constructor() {
+    this.mode = UPSTREAM_MODE;
+    this.fixturesDir = UPSTREAM_FIXTURES_DIR;
+    this.speed = Number.isFinite(REPLAY_SPEED) && REPLAY_SPEED >= 0 ? REPLAY_SPEED : 1;
+
+    this.seq = 0;
+    this.sessionStart = Date.now();
+
+    // Replay state: { key: [fixture, ...] } served in recorded order, the last one repeating
+    this.fixtures = {};
+    this.served = {};
+    this.dateShiftMs = 0;
+
+    this.stats = { requests: 0, recorded: 0, replayed: 0, misses: 0 };
+
+    if (this.mode === 'record') this.initRecording();
+    if (this.mode === 'replay') this.loadFixtures();
+    if (this.mode !== 'live') {
+      console.log(`[Upstream] ${this.mode} mode using ${this.fixturesDir}`);
+    }
+  }
+
+  // Same contract as fetch(url, { signal }) - resolves to a Response
+  request(url, init = {}) {
+    this.stats.requests++;
+    if (this.mode === 'replay') return this.replay(url, init);
+    if (this.mode === 'record') return this.record(url, init);
+    return fetch(url, init);
+  }
+
+  // ==================== RECORD ====================
+
+  // New recordings continue the sequence after any fixtures already in the directory
+  initRecording() {
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    const existing = this.readFixtureFiles();
+    this.seq = existing.reduce((max, fixture) => Math.max(max, fixture.seq), 0);
+  }
+
+  // Timeouts and network failures are recorded too, so replays hit the same retry paths
+  async record(url, init) {
+    const seq = ++this.seq;
+    const startedAt = Date.now();
+    const fixture = {
+      seq,
+      key: fixtureKey(url),
+      url: redactUrl(url),
+      recordedAt: new Date(startedAt),
+      offsetMs: startedAt - this.sessionStart
+    };
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      fixture.durationMs = Date.now() - startedAt;
+      if (error.name === 'AbortError') {
+        fixture.timedOut = true;
+      } else {
+        fixture.error = error.message;
+      }
+      this.writeFixture(fixture);
+      throw error;
+    }
+
+    const body = await response.clone().text();
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch {
+      json = undefined;
+    }
+
+    Object.assign(fixture, {
+      durationMs: Date.now() - startedAt,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(['retry-after', 'content-type']
+        .filter(name => response.headers.has(name))
+        .map(name => [name, response.headers.get(name)])),
+      ...(json !== undefined ? { body: json } : { bodyText: body })
+    });
+    this.writeFixture(fixture);
+
+    return response;
+  }
+
+  // Written to a temp file first (skipped by replay) so a crash mid-write leaves no partial fixture
+  async writeFixture(fixture) {
+    const file = path.join(this.fixturesDir, `${String(fixture.seq).padStart(6, '0')}-${slugify(fixture.key)}.json`);
+    try {
+      const tmpPath = `${file}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(fixture, null, 2));
+      await fs.promises.rename(tmpPath, file);
+      this.stats.recorded++;
+    } catch (error) {
+      console.error(`[Upstream] Failed to record ${file}:`, error.message);
+    }
+  }
+
+  // ==================== REPLAY ====================
+
+  readFixtureFiles() {
+    if (!fs.existsSync(this.fixturesDir)) return [];
+    const fixtures = [];
+    for (const name of fs.readdirSync(this.fixturesDir).filter(name => name.endsWith('.json'))) {
+      try {
+        fixtures.push(JSON.parse(fs.readFileSync(path.join(this.fixturesDir, name), 'utf8')));
+      } catch (error) {
+        console.warn(`[Upstream] Skipping unreadable fixture ${name}: ${error.message}`);
+      }
+    }
+    return fixtures.sort((a, b) => a.seq - b.seq);
+  }
+
+  loadFixtures() {
+    const fixtures = this.readFixtureFiles();
+    for (const fixture of fixtures) {
+      (this.fixtures[fixture.key] ||= []).push(fixture);
+    }
+
+    if (fixtures.length === 0) {
+      console.warn(`[Upstream] No fixtures found in ${this.fixturesDir} - every request will 404`);
+    } else if (REPLAY_SHIFT_DATES) {
+      this.dateShiftMs = Date.now() - new Date(fixtures[0].recordedAt).getTime();
+    }
+    console.log(`[Upstream] Loaded ${fixtures.length} fixtures (${Object.keys(this.fixtures).length} distinct requests)`);
+  }
+
+  async replay(url, init) {
+    const key = fixtureKey(url);
+    const queue = this.fixtures[key];
+
+    if (!queue) {
+      this.stats.misses++;
+      console.warn(`[Upstream] No fixture for ${key}`);
+      return new Response(JSON.stringify({ error: `No fixture for ${key}` }), {
+        status: 404,
+        statusText: 'Not Found',
+        headers: { 'content-type': 'application/json' }
+      });
+    }
+
+    const index = Math.min(this.served[key] || 0, queue.length - 1);
+    this.served[key] = index + 1;
+    const fixture = queue[index];
+
+    this.stats.replayed++;
+
+    // A recorded timeout hangs until the caller's own timeout aborts the request
+    if (fixture.timedOut) {
+      await delay(Infinity, init.signal);
+    }
+    if (this.speed > 0) await delay(fixture.durationMs / this.speed, init.signal);
+    if (fixture.error) {
+      throw new TypeError(fixture.error);
+    }
+
+    const headers = { ...fixture.headers };
+    if (headers['retry-after'] && this.speed > 0 && Number.isFinite(Number(headers['retry-after']))) {
+      headers['retry-after'] = String(Number(headers['retry-after']) / this.speed);
+    }
+
+    const body = fixture.body !== undefined ? JSON.stringify(this.shiftDates(fixture.body)) : fixture.bodyText;
+    return new Response(body, { status: fixture.status, statusText: fixture.statusText, headers });
+  }
+
+  // Shift every `date` field by the time elapsed since recording
+  shiftDates(value) {
+    if (!this.dateShiftMs || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(item => this.shiftDates(item));
+
+    const shifted = {};
+    for (const [name, field] of Object.entries(value)) {
+      const time = name === 'date' && typeof field === 'string' ? Date.parse(field) : NaN;
+      shifted[name] = Number.isFinite(time)
+        ? new Date(time + this.dateShiftMs).toISOString()
+        : this.shiftDates(field);
+    }
+    return shifted;
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      fixturesDir: this.mode === 'live' ? null : this.fixturesDir,
+      fixtures: Object.values(this.fixtures).reduce((sum, queue) => sum + queue.length, 0),
+      speed: this.mode === 'replay' ? this.speed : null,
+      ...this.stats
+    };
+  }
+}
+
+// Singleton instance
+const upstreamProvider = new UpstreamProvider();
+
+module.exports = upstreamProvider;
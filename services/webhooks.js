@@ -0,0 +1,200 @@
+// services/webhooks.js
+// Outbound webhook delivery - HMAC-signed POSTs with retries and a queryable delivery log
+
+const crypto = require('crypto');
+const sportRegistry = require('./sportRegistry');
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS) || 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_LOG_LIMIT = 500;
+
+// Events a webhook target can subscribe to ('*' = everything), plus `<sport>Update` per registered sport
+const WEBHOOK_EVENTS = [
+  'oddsUpdate', 'oddsDelta',
+  ...sportRegistry.keys().map(sport => `${sport}Update`),
+  'refreshStart', 'refreshComplete', 'scheduledRefresh', 'status', 'alert',
+  'arbFound', 'arbGone', 'oddsStale', 'eventsEvicted', 'liveUpdate', 'liveEvents',
+  'betGraded', 'sportConfig', 'refreshJob', 'refreshProgress'
+];
+
+class Webhooks {
+  constructor() {
+    this.targets = {}; // { webhookId: target }
+    this.deliveries = []; // newest first, bounded by WEBHOOK_LOG_LIMIT
+  }
+
+  // ==================== TARGETS ====================
+
+  // Returns an error message for an invalid target, or null
+  validate(input) {
+    if (!input || typeof input !== 'object') return 'Webhook body is required';
+
+    try {
+      const url = new URL(input.url);
+      if (!['http:', 'https:'].includes(url.protocol)) return 'url must be http(s)';
+    } catch {
+      return 'url must be a valid URL';
+    }
+
+    if (!Array.isArray(input.events) || input.events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = input.events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')} (valid: ${WEBHOOK_EVENTS.join(', ')}, *)`;
+    }
+    if (input.sport !== undefined && input.sport !== null && !sportRegistry.has(input.sport)) {
+      return `sport must be one of: ${sportRegistry.keys().join(', ')}`;
+    }
+    if (input.secret !== undefined && input.secret !== null && (typeof input.secret !== 'string' || !input.secret)) {
+      return 'secret must be a non-empty string';
+    }
+    return null;
+  }
+
+  register(input) {
+    const target = {
+      id: crypto.randomUUID(),
+      name: input.name || input.url,
+      url: input.url,
+      events: input.events,
+      sport: input.sport || null,
+      secret: input.secret || crypto.randomBytes(24).toString('hex'),
+      enabled: input.enabled !== false,
+      createdAt: new Date()
+    };
+    this.targets[target.id] = target;
+    console.log(`[Webhook] Registered ${target.id} -> ${target.url} (${target.events.join(', ')})`);
+    return target;
+  }
+
+  update(id, input) {
+    const target = this.targets[id];
+    if (!target) return null;
+
+    for (const field of ['name', 'url', 'events', 'sport', 'enabled']) {
+      if (input[field] !== undefined) target[field] = input[field];
+    }
+    return target;
+  }
+
+  remove(id) {
+    if (!this.targets[id]) return false;
+    delete this.targets[id];
+    return true;
+  }
+
+  getTarget(id) {
+    return this.targets[id] || null;
+  }
+
+  // Secrets are only shown when a target is registered
+  toPublic(target) {
+    const { secret, ...rest } = target;
+    return { ...rest, secret: `${secret.slice(0, 4)}…` };
+  }
+
+  getTargets() {
+    return Object.values(this.targets).map(target => this.toPublic(target));
+  }
+
+  getDeliveries({ webhookId, status, event } = {}) {
+    return this.deliveries
+      .filter(d => !webhookId || d.webhookId === webhookId)
+      .filter(d => !status || d.status === status)
+      .filter(d => !event || d.event === event);
+  }
+
+  // ==================== DELIVERY ====================
+
+  // Queue a delivery to every enabled target subscribed to this event
+  dispatch(event, data) {
+    const sport = data?.sport || data?.type;
+
+    for (const target of Object.values(this.targets)) {
+      if (!target.enabled) continue;
+      if (!target.events.includes('*') && !target.events.includes(event)) continue;
+      if (target.sport && sport && sport !== 'all' && sport !== target.sport) continue;
+
+      // Nothing awaits these, so a failure must not become an unhandled rejection
+      this.deliver(target, event, data).catch(error => {
+        console.error(`[Webhook] Delivery of ${event} to ${target.url} failed: ${error.message}`);
+      });
+    }
+  }
+
+  // Send one payload, retrying network errors, 429s and 5xx with exponential backoff
+  async deliver(target, event, data) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: target.id,
+      url: target.url,
+      event,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date(),
+      deliveredAt: null
+    };
+    this.deliveries.unshift(delivery);
+    this.deliveries.length = Math.min(this.deliveries.length, WEBHOOK_LOG_LIMIT);
+
+    const body = JSON.stringify({ id: delivery.id, event, timestamp: delivery.createdAt, data });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', target.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      const started = Date.now();
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+      let retryable = true;
+
+      try {
+        const response = await fetch(target.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signature}`
+          },
+          body,
+          signal: controller.signal
+        });
+
+        delivery.attempts.push({ at: new Date(started), statusCode: response.status, durationMs: Date.now() - started });
+
+        if (response.ok) {
+          delivery.status = 'delivered';
+          delivery.deliveredAt = new Date();
+          return delivery;
+        }
+
+        // Other 4xx responses won't succeed on retry
+        retryable = response.status === 429 || response.status >= 500;
+      } catch (error) {
+        delivery.attempts.push({ at: new Date(started), error: error.message, durationMs: Date.now() - started });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (!retryable || attempt === WEBHOOK_MAX_ATTEMPTS) break;
+      await this.sleep(WEBHOOK_BACKOFF_MS * Math.pow(2, attempt - 1));
+    }
+
+    delivery.status = 'failed';
+    console.error(`[Webhook] Delivery ${delivery.id} (${event}) to ${target.url} failed after ${delivery.attempts.length} attempts`);
+    return delivery;
+  }
+
+  // Utility
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Singleton instance
+const webhooks = new Webhooks();
+
+module.exports = webhooks;